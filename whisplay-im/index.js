@@ -1,19 +1,263 @@
+import { execFile } from "node:child_process";
+import { createHash, timingSafeEqual } from "node:crypto";
+import { promises as dns } from "node:dns";
 import { promises as fs } from "node:fs";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
 import path from "node:path";
-import { pathToFileURL } from "node:url";
+import { Readable } from "node:stream";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { promisify } from "node:util";
 
 const CHANNEL_ID = "whisplay-im";
 const MIN_COMPAT_OPENCLAW_VERSION = "2026.1.0";
 const GATEWAY_LOG_DIR = "/tmp/openclaw";
 const GATEWAY_LOG_FILE_PATTERN = /^openclaw-\d{4}-\d{2}-\d{2}\.log$/;
-const PAIRING_CACHE_LIMIT = 256;
-const INBOUND_CACHE_LIMIT = 512;
+const PAIRING_WATCH_INTERVAL_MS = 5000;
+const PAIRING_LOG_READ_LIMIT_BYTES = 1024 * 1024;
+const PAIRING_PENDING_LIMIT = 50;
+const PAIRING_APPROVAL_DEFAULT_TIMEOUT_SEC = 120;
+const PAIRING_APPROVAL_CLI_TIMEOUT_MS = 15000;
+// Spoken answers to an announced pairing request, per locale. An answer is a confirm or deny
+// verb followed by a subject naming the request and/or its spoken code, matched against the
+// whole utterance with case, spaces and punctuation ignored: "approve pairing", "deny 4821".
+const PAIRING_APPROVAL_PHRASES = {
+    en: {
+        confirm: ["approve", "confirm", "allow", "accept"],
+        deny: ["deny", "reject", "decline"],
+        subject: ["pairing", "the pairing", "pairing request", "the pairing request"],
+    },
+    zh: {
+        confirm: ["批准", "同意", "确认", "允许"],
+        deny: ["拒绝", "不同意", "不允许"],
+        subject: ["配对", "配对请求", "这个配对", "这个配对请求"],
+    },
+};
+const DEDUPE_DEFAULT_TTL_SEC = 24 * 60 * 60;
+const DEDUPE_SAVE_DELAY_MS = 1000;
+const DEFAULT_PUSH_HOST = "0.0.0.0";
+const DEFAULT_PUSH_PORT = 18889;
+const PUSH_INBOUND_PATH = "/whisplay-im/inbound";
+const PUSH_BODY_LIMIT_BYTES = 16 * 1024 * 1024;
+const DEVICE_SOCKET_PATH = "/whisplay-im/ws";
+const DEVICE_SOCKET_ACK_TIMEOUT_MS = 10000;
+const DEVICE_SOCKET_PING_INTERVAL_MS = 25000;
+const DEVICE_SOCKET_IDLE_TIMEOUT_MS = 60000;
+const DEVICE_SOCKET_FALLBACK_ATTEMPTS = 3;
+const STREAM_SEGMENT_MAX_CHARS = 200;
+const SENTENCE_TERMINATORS_CJK = "。！？；…";
+const SENTENCE_TERMINATORS_LATIN = ".!?;";
+const SENTENCE_CLOSERS = "\"'”’」』）)]》";
+const SOFT_BREAK_CHARS = "，、,：: ";
+const OUTBOUND_QUEUE_DEFAULT_MAX_AGE_SEC = 600;
+const OUTBOUND_QUEUE_DEFAULT_MAX_SIZE = 200;
+const INBOUND_DEFAULT_CONCURRENCY = 2;
+const INBOUND_QUEUE_DEFAULT_MAX_SIZE = 20;
+const INBOUND_RETRY_DELAY_MS = 2000;
+const INBOUND_REDELIVERY_PAUSE_MS = 1000;
+const INBOUND_COALESCE_MAX_WINDOWS = 4;
+const INBOUND_MAX_DISPATCH_ATTEMPTS = 3;
+const INBOUND_FAILURE_TRACK_LIMIT = 500;
+const CJK_CHAR_PATTERN = /[\u3000-\u303f\u3400-\u9fff\uf900-\ufaff\uff00-\uffef]/;
+const OUTBOUND_DEAD_LETTER_LIMIT = 50;
+const OUTBOUND_RETRY_BASE_MS = 1000;
+const OUTBOUND_RETRY_MAX_MS = 60000;
+// Reply fields holding media; queued entries keep them in a file of their own.
+const OUTBOUND_MEDIA_FIELDS = ["imageBase64", "images", "audioBase64"];
+const MEDIA_DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const MEDIA_DEFAULT_TIMEOUT_MS = 15000;
+const MEDIA_DEFAULT_MAX_REDIRECTS = 3;
+const MEDIA_DEFAULT_CONTENT_TYPES = ["image/*"];
+const IMAGE_DEFAULT_QUALITY = 80;
+const IMAGE_MIN_QUALITY = 40;
+const IMAGE_MIN_EDGE = 16;
+const IMAGE_MAX_DECODE_MEGAPIXELS = 40;
+const STATUS_RANKS = { thinking: 1, tool_calling: 2, answering: 3 };
+const STATUS_DEFAULT_DEBOUNCE_MS = 300;
+const DEVICE_BACKOFF_BASE_MS = 1000;
+const DEVICE_BACKOFF_MAX_MS = 60000;
+const DEVICE_OFFLINE_AFTER_FAILURES = 5;
+const METRICS_DEFAULT_HOST = "127.0.0.1";
+const METRICS_DEFAULT_PATH = "/metrics";
+const METRICS_DEFAULT_FILE_INTERVAL_SEC = 15;
+const METRICS_LATENCY_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60, 120];
+const METRIC_COUNTERS = {
+    polls: "Long-poll requests answered by the device",
+    pollErrors: "Long-poll requests that failed",
+    inboundMessages: "Inbound messages received from the device",
+    inboundDuplicates: "Inbound messages dropped as duplicates",
+    inboundRejected: "Inbound messages refused by the sender access policy",
+    interruptions: "Running answers cancelled by the device or a new message",
+    dispatchErrors: "Inbound messages whose agent dispatch failed",
+    inboundAbandoned: "Inbound messages given up after repeated dispatch failures",
+    repliesSent: "Replies delivered to the device",
+    replyFailures: "Reply sends that failed and were queued for retry",
+    repliesDropped: "Queued replies moved to the dead-letter list",
+    statusPushes: "Status updates delivered to the device",
+    statusFailures: "Status updates that could not be delivered",
+    mediaFetches: "Media items fetched for replies",
+    mediaFetchErrors: "Media items that could not be fetched",
+    mediaFetchBytes: "Bytes of media fetched for replies",
+};
+const METRIC_HISTOGRAMS = {
+    firstReplySeconds: "Time from an inbound message to its first delivered reply",
+    dispatchSeconds: "Time spent dispatching an inbound message to the agent",
+};
+const DEVICE_PROTOCOL_VERSION = 1;
+const DEVICE_INFO_PATH = "/whisplay-im/info";
+const DEVICE_INFO_TIMEOUT_MS = 5000;
+const STATUS_TEXT_MAX_CHARS = 80;
+const MESSAGE_DEFAULT_LOCALE = "en";
+// Status and system message templates per locale. `{name}` placeholders are filled per message.
+const MESSAGE_LOCALES = {
+    en: {
+        thinking: { emoji: "🤔", text: "{text}" },
+        toolStart: { emoji: "🔧", text: "Invoking {tool}..." },
+        toolEnd: { emoji: "✅", text: "{tool} done" },
+        downloadImage: { emoji: "🖼️", text: "Downloading image..." },
+        downloadImages: { emoji: "🖼️", text: "Downloading {count} images..." },
+        imageUnavailable: { emoji: "⚠️", text: "Image unavailable: {error}" },
+        audioUnavailable: { emoji: "⚠️", text: "Audio unavailable: {error}" },
+        answering: {},
+        idle: {},
+        error: { emoji: "😵", text: "{error}" },
+        pairingRequest: {
+            text:
+                "Gateway detected a new pairing request.\n" +
+                "requestId: {requestId}\n" +
+                "Please approve this request in OpenClaw console under Devices/Approvals.",
+        },
+        setupCode: { text: "Gateway pairing code: {setupCode}" },
+        pairingRequestVoice: {
+            text:
+                "Gateway detected a new pairing request.\n" +
+                "requestId: {requestId}\n" +
+                "Say \"approve pairing {code}\" or \"deny pairing {code}\" within {timeoutSec} seconds, or decide in OpenClaw console under Devices/Approvals.",
+        },
+        pairingApproved: { text: "Pairing request {requestId} approved." },
+        pairingDenied: { text: "Pairing request {requestId} rejected." },
+        pairingDecisionFailed: { text: "Could not update pairing request {requestId}: {error}" },
+        pairingNotAuthorized: { text: "Sorry, you are not allowed to answer pairing requests." },
+        commandStatus: {
+            text: "Connection {connection}, {queued} replies waiting, {failures} failed requests in a row. Firmware {firmware}.",
+        },
+        commandNotAuthorized: { text: "Sorry, you are not allowed to use device commands." },
+        codeBlock: { text: "Skipping a {language} code block of {lines} lines." },
+        accessDenied: { text: "Sorry, I can't take messages from you." },
+        accessPairing: { text: "I don't know you yet. Ask the owner to approve pairing code {code}." },
+    },
+    zh: {
+        thinking: { emoji: "🤔", text: "{text}" },
+        toolStart: { emoji: "🔧", text: "正在调用 {tool}..." },
+        toolEnd: { emoji: "✅", text: "{tool} 已完成" },
+        downloadImage: { emoji: "🖼️", text: "正在下载图片..." },
+        downloadImages: { emoji: "🖼️", text: "正在下载 {count} 张图片..." },
+        imageUnavailable: { emoji: "⚠️", text: "图片不可用：{error}" },
+        audioUnavailable: { emoji: "⚠️", text: "音频不可用：{error}" },
+        answering: {},
+        idle: {},
+        error: { emoji: "😵", text: "{error}" },
+        pairingRequest: {
+            text:
+                "网关检测到新的配对请求。\n" +
+                "requestId: {requestId}\n" +
+                "请在 OpenClaw 控制台的 Devices/Approvals 中批准此请求。",
+        },
+        setupCode: { text: "网关配对码：{setupCode}" },
+        pairingRequestVoice: {
+            text:
+                "网关检测到新的配对请求。\n" +
+                "requestId: {requestId}\n" +
+                "请在 {timeoutSec} 秒内说“批准配对 {code}”或“拒绝配对 {code}”，或在 OpenClaw 控制台的 Devices/Approvals 中处理。",
+        },
+        pairingApproved: { text: "已批准配对请求 {requestId}。" },
+        pairingDenied: { text: "已拒绝配对请求 {requestId}。" },
+        pairingDecisionFailed: { text: "无法处理配对请求 {requestId}：{error}" },
+        pairingNotAuthorized: { text: "抱歉，你无权处理配对请求。" },
+        commandStatus: { text: "连接状态 {connection}，{queued} 条回复待发送，连续失败 {failures} 次。固件 {firmware}。" },
+        commandNotAuthorized: { text: "抱歉，你无权使用设备命令。" },
+        codeBlock: { text: "略过一段 {lines} 行的 {language} 代码。" },
+        accessDenied: { text: "抱歉，我不能接收你的消息。" },
+        accessPairing: { text: "我还不认识你。请让主人批准配对码 {code}。" },
+    },
+};
+// a conversation must always end in one of these, so they cannot be switched off
+const MESSAGE_REQUIRED_KEYS = new Set(["idle", "error"]);
+// Device commands: slash forms and per-locale spoken phrases (matched like pairing answers).
+// reset and stop are handed to the host as its native slash commands; status is answered here.
+const DEVICE_COMMAND_SLASH = { "/reset": "reset", "/new": "reset", "/stop": "stop", "/status": "status" };
+const DEVICE_COMMAND_NATIVE = { reset: "/reset", stop: "/stop" };
+const DEVICE_COMMAND_PHRASES = {
+    en: {
+        reset: ["new conversation", "start over", "reset", "reset conversation"],
+        stop: ["stop", "cancel", "be quiet"],
+        status: ["status", "device status"],
+    },
+    zh: {
+        reset: ["新对话", "新的对话", "重新开始", "重置"],
+        stop: ["停止", "停", "取消", "别说了"],
+        status: ["状态", "设备状态"],
+    },
+};
+const REPLY_RENDER_PROFILES = new Set(["raw", "speech", "screen"]);
+const INTERRUPT_POLICIES = new Set(["off", "explicit", "session", "account"]);
+const ACCESS_UNKNOWN_SENDER_MODES = new Set(["allow", "reject", "pairing", "readonly"]);
+const REPLY_EMOJI_DEFAULTS = { reply: "😊", error: "😥", system: "🔔" };
+const EMOJI_DIRECTIVE_PATTERN = /^\s*\[emoji:\s*([^\]\s][^\]]*?)\s*\]\s*/i;
+const INBOUND_AUDIO_PLACEHOLDER = "<media:audio>";
+const INBOUND_AUDIO_DEFAULT_SAMPLE_RATE = 16000;
+const INBOUND_AUDIO_RETENTION_MS = 60 * 60 * 1000;
+const AUDIO_FORMAT_TYPES = {
+    wav: "audio/wav",
+    mp3: "audio/mpeg",
+    ogg: "audio/ogg",
+    opus: "audio/ogg",
+    webm: "audio/webm",
+    m4a: "audio/mp4",
+    aac: "audio/aac",
+    flac: "audio/flac",
+};
+const MEDIA_EXTENSION_TYPES = {
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".bmp": "image/bmp",
+    ".wav": "audio/wav",
+    ".mp3": "audio/mpeg",
+    ".ogg": "audio/ogg",
+    ".opus": "audio/ogg",
+    ".webm": "audio/webm",
+    ".m4a": "audio/mp4",
+    ".aac": "audio/aac",
+    ".flac": "audio/flac",
+};
 
-const pairingRelaySeen = new Map();
-const inboundSeenByAccount = new Map();
+const dedupeStoreByKey = new Map();
 const pollTickByAccount = new Map();
+const deviceSocketsByBaseUrl = new Map();
+const outboundQueueByAccount = new Map();
+const inboundSchedulerByAccount = new Map();
+const deviceFeaturesByAccount = new Map();
+const deviceLocaleByAccount = new Map();
+const deviceInfoByAccount = new Map();
+// accountId -> { baseUrl, token, unreachable, refreshing } for repeating the handshake
+const deviceHandshakeByAccount = new Map();
+const deviceHealthByBaseUrl = new Map();
+const metricsByAccount = new Map();
+let metricsExporter = null;
+let metricsExporterUsers = 0;
+let pairingHintWatcher = null;
+const pairingApprovalByAccount = new Map();
+// sessionKey -> { accountId, id, controller } for the answer being dispatched in that session
+const activeRunsBySession = new Map();
+const execFileAsync = promisify(execFile);
+const ttsUnavailableWarned = new Set();
 let pluginRuntime = null;
 let legacyDispatchFnLoader = null;
+let imageCodecsLoader = null;
 
 function getChannelRuntime() {
     return pluginRuntime?.channel ?? null;
@@ -191,6 +435,329 @@ function payloadToReplyText(payload) {
     return "";
 }
 
+// Account `render`: the profile for the spoken `reply` ("raw" by default, "speech" or
+// "screen") and, when set, a `display` profile for a separate `displayText` field.
+function resolveRenderOptions(account) {
+    const render = account?.render && typeof account.render === "object" ? account.render : {};
+    return {
+        reply: REPLY_RENDER_PROFILES.has(render.reply) ? render.reply : "raw",
+        display: REPLY_RENDER_PROFILES.has(render.display) ? render.display : null,
+    };
+}
+
+function urlDomain(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./i, "");
+    } catch {
+        return url;
+    }
+}
+
+function renderInlineMarkdown(line, profile) {
+    return line
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+        .replace(/\[([^\]]+)\]\((\S+?)(?:\s+"[^"]*")?\)/g, (match, label, url) =>
+            profile === "screen" && /^https?:/i.test(url) ? `${label} (${urlDomain(url)})` : label,
+        )
+        .replace(/<?(https?:\/\/[^\s<>]+?)>?(?=[.,;:!?)\]]*(?:\s|$))/g, (match, url) => urlDomain(url))
+        .replace(/`([^`]+)`/g, "$1")
+        .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, "$2")
+        .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, "$1")
+        .replace(/(^|[\s(])([*_])(?=\S)(.+?)(?<=\S)\2(?=[\s).,!?:;]|$)/g, "$1$3");
+}
+
+// Returns a function that renders reply text for the device by `profile`. "raw" passes text
+// through. "speech" and "screen" turn markdown into plain text and URLs into their domain;
+// "speech" also replaces code blocks with the `codeBlock` message (omitted when that template
+// is disabled) while "screen" keeps their lines. The renderer keeps its place inside a code
+// block across calls, so streamed sentences can be rendered one at a time; pass `final` with
+// the last one.
+function createReplyRenderer(account, profile) {
+    let fence = null;
+    const closeFence = () => {
+        const summary = renderMessage(account, "codeBlock", { language: fence.language || "text", lines: fence.lines });
+        fence = null;
+        return summary?.text ?? "";
+    };
+    const renderLine = (line) => {
+        const fenceMatch = line.match(/^\s*(```|~~~)\s*([\w#+.-]*)/);
+        if (fenceMatch) {
+            if (fence) {
+                return profile === "speech" ? closeFence() : ((fence = null), null);
+            }
+            fence = { language: fenceMatch[2], lines: 0 };
+            return null;
+        }
+        if (fence) {
+            fence.lines += 1;
+            return profile === "speech" ? null : line;
+        }
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line) || /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line)) {
+            // horizontal rules and table separators
+            return null;
+        }
+        const tableRow = line.match(/^\s*\|(.*)\|\s*$/);
+        if (tableRow) {
+            const cells = tableRow[1].split("|").map((cell) => renderInlineMarkdown(cell.trim(), profile)).filter(Boolean);
+            return cells.join(profile === "speech" ? ", " : " | ");
+        }
+        const heading = line.match(/^\s*#{1,6}\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            const text = renderInlineMarkdown(heading[1], profile);
+            // a pause after a spoken heading
+            return profile === "speech" && text && !isSentenceTerminator(text.at(-1)) ? `${text}.` : text;
+        }
+        const stripped = line
+            .replace(/^\s*>\s?/, "")
+            .replace(/^(\s*)[-*+]\s+(\[[ xX]\]\s+)?/, profile === "speech" ? "$1" : "$1• ");
+        return renderInlineMarkdown(stripped, profile);
+    };
+
+    return (text, { final = false } = {}) => {
+        const source = String(text ?? "");
+        if (profile === "raw") {
+            return source;
+        }
+        const lines = source.split("\n").map(renderLine).filter((line) => line !== null);
+        if (final && fence && profile === "speech") {
+            lines.push(closeFence());
+        }
+        return lines
+            .join("\n")
+            .replace(/\n{3,}/g, "\n\n")
+            .trim();
+    };
+}
+
+// The reply text and, when the account asks for it, a separate display text.
+function renderReplyFields(account, text) {
+    const { reply, display } = resolveRenderOptions(account);
+    const fields = { reply: createReplyRenderer(account, reply)(text, { final: true }) };
+    if (display) {
+        fields.displayText = createReplyRenderer(account, display)(text, { final: true });
+    }
+    return fields;
+}
+
+function isSentenceTerminator(char) {
+    return SENTENCE_TERMINATORS_CJK.includes(char) || SENTENCE_TERMINATORS_LATIN.includes(char);
+}
+
+// Split text into speakable sentences. CJK terminators end a sentence immediately; Latin ones
+// only when followed by whitespace, so "3.14" or "v2.0" stay intact, and never in a list marker
+// such as "2." at the start of a line. Inside a fenced code block only line breaks split. Unless
+// `final` is set, the unterminated tail is returned as `rest` to be completed by later text.
+// `inFence` and `atLineStart` describe where `text` begins; the result carries them for `rest`.
+function splitSentences(text, { final = false, inFence = false, atLineStart = true } = {}) {
+    const sentences = [];
+    const pushSentence = (value) => {
+        const sentence = value.trim();
+        if (sentence) {
+            sentences.push(sentence);
+        }
+    };
+
+    let start = 0;
+    let index = 0;
+    // -1 while the line began before `text`
+    let lineStart = atLineStart ? 0 : -1;
+    let fence = inFence;
+    const isListMarker = (position) => lineStart >= 0 && /^\s*\d+$/.test(text.slice(lineStart, position));
+    while (index < text.length) {
+        const char = text[index];
+        if (char === "\n") {
+            if (lineStart >= 0 && /^\s*(```|~~~)/.test(text.slice(lineStart, index))) {
+                fence = !fence;
+            }
+            pushSentence(text.slice(start, index));
+            start = index + 1;
+            lineStart = start;
+            index = start;
+            continue;
+        }
+        if (fence || !isSentenceTerminator(char) || (char === "." && isListMarker(index))) {
+            index += 1;
+            continue;
+        }
+
+        let end = index;
+        let hasCjkTerminator = false;
+        while (end < text.length && isSentenceTerminator(text[end])) {
+            hasCjkTerminator = hasCjkTerminator || SENTENCE_TERMINATORS_CJK.includes(text[end]);
+            end += 1;
+        }
+        while (end < text.length && SENTENCE_CLOSERS.includes(text[end])) {
+            end += 1;
+        }
+        if (end >= text.length && !final) {
+            // a closer, more punctuation or a digit may still follow
+            break;
+        }
+        if (hasCjkTerminator || end >= text.length || /\s/.test(text[end])) {
+            pushSentence(text.slice(start, end));
+            start = end;
+        }
+        index = end;
+    }
+
+    let rest = text.slice(start);
+    let restAtLineStart = lineStart >= 0 && !text.slice(lineStart, start).trim();
+    while (rest.length > STREAM_SEGMENT_MAX_CHARS) {
+        let cut = -1;
+        for (let position = STREAM_SEGMENT_MAX_CHARS; position > 0; position -= 1) {
+            if (SOFT_BREAK_CHARS.includes(rest[position - 1])) {
+                cut = position;
+                break;
+            }
+        }
+        if (cut < 0) {
+            cut = STREAM_SEGMENT_MAX_CHARS;
+        }
+        pushSentence(rest.slice(0, cut));
+        rest = rest.slice(cut);
+        restAtLineStart = false;
+    }
+    if (final) {
+        pushSentence(rest);
+        rest = "";
+    }
+    return { sentences, rest: rest.trimStart(), inFence: fence, atLineStart: restAtLineStart };
+}
+
+// Stream reply text to the device one sentence at a time so TTS can start early.
+// Partial replies are cumulative per assistant message; block replies are complete chunks.
+// `deliverSegment` returns false when a segment had nothing to send (it rendered empty); `seq`
+// only counts segments that went out, so the device sees no gaps.
+function createReplyStreamer(deliverSegment) {
+    const streamId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    let buffer = "";
+    let partialBase = "";
+    let seq = 0;
+    let segments = 0;
+    let sawPartial = false;
+    let inFence = false;
+    let atLineStart = true;
+    let chainedPromise = Promise.resolve();
+
+    const enqueue = (segment) => {
+        segments += 1;
+        chainedPromise = chainedPromise.then(async () => {
+            try {
+                if ((await deliverSegment({ streamId, ...segment, seq })) !== false) {
+                    seq += 1;
+                }
+            } catch (err) {
+                console.warn(
+                    `[whisplay-im] stream delivery error: ${err instanceof Error ? err.message : String(err)}`,
+                );
+            }
+        });
+    };
+    const emit = (final) => {
+        const split = splitSentences(buffer, { final, inFence, atLineStart });
+        const { sentences } = split;
+        buffer = split.rest;
+        inFence = split.inFence;
+        // a complete chunk ends its line
+        atLineStart = final || split.atLineStart;
+        for (const sentence of sentences) {
+            enqueue({ text: sentence, done: false });
+        }
+    };
+
+    return {
+        hasPartials: () => sawPartial,
+        pushPartial: (text) => {
+            const full = String(text ?? "");
+            sawPartial = true;
+            if (full.startsWith(partialBase)) {
+                buffer += full.slice(partialBase.length);
+            } else {
+                // a new assistant message started (e.g. after a tool call)
+                emit(true);
+                inFence = false;
+                buffer = full;
+            }
+            partialBase = full;
+            emit(false);
+        },
+        pushBlock: (text) => {
+            buffer += String(text ?? "");
+            emit(true);
+        },
+        flush: () => {
+            emit(true);
+            return chainedPromise;
+        },
+        end: () => {
+            emit(true);
+            if (segments > 0) {
+                enqueue({ text: "", done: true });
+            }
+            return chainedPromise;
+        },
+    };
+}
+
+// Device status for one conversation. Transitions only move forward (thinking -> tool_calling
+// -> answering); repeated updates within a state are debounced down to the latest one, and the
+// conversation ends with exactly one `finish` ("idle" or "error"). Sends go out in order.
+function createStatusMachine(send, { debounceMs = STATUS_DEFAULT_DEBOUNCE_MS } = {}) {
+    let rank = 0;
+    let ended = false;
+    let lastSentAt = 0;
+    let pending = null;
+    let timer = null;
+    let chainedPromise = Promise.resolve();
+
+    const dispatch = (status, extra) => {
+        lastSentAt = Date.now();
+        chainedPromise = chainedPromise.then(() => send(status, extra)).catch(() => {});
+        return chainedPromise;
+    };
+    const cancelPending = () => {
+        clearTimeout(timer);
+        timer = null;
+        pending = null;
+    };
+
+    return {
+        update: (status, extra = {}) => {
+            const nextRank = STATUS_RANKS[status];
+            if (ended || !nextRank || nextRank < rank) {
+                return chainedPromise;
+            }
+            if (nextRank > rank) {
+                rank = nextRank;
+                cancelPending();
+                return dispatch(status, extra);
+            }
+            const waitMs = lastSentAt + debounceMs - Date.now();
+            if (waitMs <= 0 && !timer) {
+                return dispatch(status, extra);
+            }
+            pending = { status, extra };
+            if (!timer) {
+                timer = setTimeout(() => {
+                    const next = pending;
+                    timer = null;
+                    pending = null;
+                    dispatch(next.status, next.extra);
+                }, waitMs);
+            }
+            return chainedPromise;
+        },
+        finish: (status = "idle", extra = {}) => {
+            if (ended) {
+                return chainedPromise;
+            }
+            ended = true;
+            cancelPending();
+            return dispatch(status, extra);
+        },
+    };
+}
+
 function sanitizeInboundText(text) {
     let cleaned = String(text ?? "").trimStart();
     let changed = false;
@@ -246,9 +813,10 @@ function pickFirstText(...values) {
     return "";
 }
 
+// `known` is false when the device sent no sender id and the message id stands in for it.
 function resolveInboundPeer(inbound) {
     const raw = inbound?.raw ?? {};
-    const peerId = pickFirstText(
+    const senderId = pickFirstText(
         raw.senderId,
         raw.sender,
         raw.from,
@@ -263,8 +831,8 @@ function resolveInboundPeer(inbound) {
         raw.device,
         raw.peerId,
         raw.peer,
-        inbound?.id,
     );
+    const peerId = senderId || pickFirstText(inbound?.id);
     const peerName = pickFirstText(
         raw.senderName,
         raw.name,
@@ -278,6 +846,7 @@ function resolveInboundPeer(inbound) {
     return {
         id: peerId || "whisplay",
         name: peerName || "whisplay",
+        known: Boolean(senderId),
     };
 }
 
@@ -291,56 +860,103 @@ function sanitizeSessionPart(value) {
         .slice(0, 96);
 }
 
-function getPairingSeenSet(accountId) {
-    const key = String(accountId ?? "default");
-    let seen = pairingRelaySeen.get(key);
-    if (!seen) {
-        seen = new Set();
-        pairingRelaySeen.set(key, seen);
-    }
-    return seen;
-}
+// Dedupe keys with the time they were last seen, kept in
+// <stateDir>/whisplay-im/dedupe/<kind>-<accountId>.json so that a gateway restart neither
+// answers redelivered messages twice nor re-announces pairing hints. Keys expire after a TTL.
+function createDedupeStore(filePath) {
+    const entries = new Map();
+    let ttlMs = DEDUPE_DEFAULT_TTL_SEC * 1000;
+    let saveTimer = null;
+    let saveChain = Promise.resolve();
 
-function rememberPairingKey(seen, value) {
-    seen.add(value);
-    if (seen.size <= PAIRING_CACHE_LIMIT) {
-        return;
-    }
-    const overflow = seen.size - PAIRING_CACHE_LIMIT;
-    const iterator = seen.values();
-    for (let index = 0; index < overflow; index += 1) {
-        const first = iterator.next();
-        if (first.done) {
-            break;
+    const pruneExpired = () => {
+        const cutoff = Date.now() - ttlMs;
+        // entries are re-inserted on remember, so the Map stays ordered by seen time
+        for (const [key, seenAt] of entries) {
+            if (seenAt >= cutoff) {
+                break;
+            }
+            entries.delete(key);
         }
-        seen.delete(first.value);
-    }
+    };
+    const flush = () => {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        pruneExpired();
+        const snapshot = Object.fromEntries(entries);
+        saveChain = saveChain.then(() =>
+            writeJsonFileAtomic(filePath, { entries: snapshot }).catch((err) => {
+                console.warn(
+                    `[whisplay-im] dedupe store save failed (${filePath}): ${err instanceof Error ? err.message : String(err)}`,
+                );
+            }),
+        );
+        return saveChain;
+    };
+
+    const loaded = readJsonFile(filePath, {}).then((data) => {
+        const stored = data?.entries && typeof data.entries === "object" ? data.entries : {};
+        const sorted = Object.entries(stored)
+            .filter(([, seenAt]) => typeof seenAt === "number" && Number.isFinite(seenAt))
+            .sort((left, right) => left[1] - right[1]);
+        for (const [key, seenAt] of sorted) {
+            entries.set(key, seenAt);
+        }
+        pruneExpired();
+    });
+
+    return {
+        loaded,
+        setTtlSec: (ttlSec) => {
+            ttlMs = ttlSec * 1000;
+        },
+        has: (key) => {
+            const seenAt = entries.get(key);
+            return seenAt !== undefined && Date.now() - seenAt <= ttlMs;
+        },
+        remember: (key) => {
+            entries.delete(key);
+            entries.set(key, Date.now());
+            pruneExpired();
+            if (!saveTimer) {
+                saveTimer = setTimeout(() => {
+                    saveTimer = null;
+                    flush();
+                }, DEDUPE_SAVE_DELAY_MS);
+                saveTimer.unref?.();
+            }
+        },
+        flush,
+    };
 }
 
-function getInboundSeenSet(accountId) {
-    const key = String(accountId ?? "default");
-    let seen = inboundSeenByAccount.get(key);
-    if (!seen) {
-        seen = new Set();
-        inboundSeenByAccount.set(key, seen);
+async function loadDedupeStore(kind, accountId, ttlSec) {
+    const account = String(accountId ?? "default");
+    const key = `${kind}:${account}`;
+    let store = dedupeStoreByKey.get(key);
+    if (!store) {
+        const fileName = `${kind}-${sanitizeSessionPart(account) || "default"}.json`;
+        store = createDedupeStore(resolvePluginStatePath("dedupe", fileName));
+        dedupeStoreByKey.set(key, store);
     }
-    return seen;
+    await store.loaded;
+    store.setTtlSec(
+        typeof ttlSec === "number" && Number.isFinite(ttlSec) && ttlSec > 0 ? ttlSec : DEDUPE_DEFAULT_TTL_SEC,
+    );
+    return store;
 }
 
-function rememberInboundKey(seen, value) {
-    seen.add(value);
-    if (seen.size <= INBOUND_CACHE_LIMIT) {
-        return;
-    }
-    const overflow = seen.size - INBOUND_CACHE_LIMIT;
-    const iterator = seen.values();
-    for (let index = 0; index < overflow; index += 1) {
-        const first = iterator.next();
-        if (first.done) {
-            break;
+async function flushDedupeStores(accountId) {
+    const suffix = `:${String(accountId ?? "default")}`;
+    const flushes = [];
+    for (const [key, store] of dedupeStoreByKey) {
+        if (key.endsWith(suffix)) {
+            flushes.push(store.flush());
         }
-        seen.delete(first.value);
     }
+    await Promise.all(flushes);
 }
 
 function buildInboundDedupeKey(inbound) {
@@ -368,59 +984,12 @@ function nextPollTick(accountId) {
     return next;
 }
 
-async function findLatestGatewayLogFile() {
-    let entries;
-    try {
-        entries = await fs.readdir(GATEWAY_LOG_DIR, { withFileTypes: true });
-    } catch {
-        return null;
-    }
-
-    const candidates = entries
-        .filter((entry) => entry.isFile() && GATEWAY_LOG_FILE_PATTERN.test(entry.name))
-        .map((entry) => path.join(GATEWAY_LOG_DIR, entry.name));
-
-    if (candidates.length === 0) {
-        return null;
-    }
-
-    const stats = await Promise.all(
-        candidates.map(async (filePath) => {
-            try {
-                const stat = await fs.stat(filePath);
-                return { filePath, mtimeMs: stat.mtimeMs };
-            } catch {
-                return null;
-            }
-        }),
-    );
-
-    const sorted = stats
-        .filter(Boolean)
-        .sort((left, right) => right.mtimeMs - left.mtimeMs);
-
-    return sorted[0]?.filePath ?? null;
-}
-
-async function readTailText(filePath, maxBytes = 128 * 1024) {
-    let stat;
-    try {
-        stat = await fs.stat(filePath);
-    } catch {
-        return "";
-    }
-
-    if (!stat.isFile() || stat.size <= 0) {
-        return "";
-    }
-
-    const start = Math.max(0, stat.size - maxBytes);
-    const length = stat.size - start;
+async function readFileRange(filePath, start, length) {
     const handle = await fs.open(filePath, "r");
     try {
         const buffer = Buffer.alloc(length);
-        await handle.read(buffer, 0, length, start);
-        return buffer.toString("utf8");
+        const { bytesRead } = await handle.read(buffer, 0, length, start);
+        return buffer.subarray(0, bytesRead);
     } finally {
         await handle.close();
     }
@@ -457,10 +1026,8 @@ function extractPairingAlerts(logText, options = {}) {
             const requestId = requestMatch[1];
             alerts.push({
                 dedupeKey: `request:${requestId}`,
-                message:
-                    `Gateway detected a new pairing request.\n` +
-                    `requestId: ${requestId}\n` +
-                    `Please approve this request in OpenClaw console under Devices/Approvals.`,
+                template: "pairingRequest",
+                vars: { requestId },
             });
             continue;
         }
@@ -470,7 +1037,8 @@ function extractPairingAlerts(logText, options = {}) {
             const setupCode = setupMatch[1];
             alerts.push({
                 dedupeKey: `setup:${setupCode}`,
-                message: `Gateway pairing code: ${setupCode}`,
+                template: "setupCode",
+                vars: { setupCode },
             });
             continue;
         }
@@ -534,6 +1102,126 @@ function buildAccountConfigError(accountId, account) {
     return `${prefix}: missing accounts.${accountId}.ip. ${guidance}`;
 }
 
+function resolvePushEndpoint(effective) {
+    return {
+        host:
+            typeof effective?.pushHost === "string" && effective.pushHost.trim()
+                ? effective.pushHost.trim()
+                : DEFAULT_PUSH_HOST,
+        port:
+            Number.isInteger(effective?.pushPort) && effective.pushPort > 0 && effective.pushPort < 65536
+                ? effective.pushPort
+                : DEFAULT_PUSH_PORT,
+    };
+}
+
+function isLoopbackHost(host) {
+    const value = String(host ?? "").trim().toLowerCase().replace(/^\[|\]$/g, "");
+    return value === "localhost" || value === "::1" || /^127\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(value);
+}
+
+function isWildcardHost(host) {
+    return host === "0.0.0.0" || host === "::" || host === "[::]";
+}
+
+// Push mode opens a listener on the gateway, so an endpoint reachable from the network must be
+// token-protected and no two enabled push accounts may claim the same port.
+function resolvePushConfigError(cfg, effective) {
+    if (effective?.mode !== "push" || effective?.enabled === false) {
+        return null;
+    }
+    const { host, port } = resolvePushEndpoint(effective);
+    const token = typeof effective?.token === "string" ? effective.token.trim() : "";
+    if (!token && !isLoopbackHost(host)) {
+        return (
+            `whisplay-im account "${effective.accountId}" uses push mode on ${host}:${port} without a token. ` +
+            `Set accounts.${effective.accountId}.token, or bind pushHost to 127.0.0.1.`
+        );
+    }
+    const accounts = normalizeAccountsConfig(cfg?.channels?.[CHANNEL_ID]?.accounts);
+    for (const otherId of Object.keys(accounts)) {
+        if (otherId === effective.accountId) {
+            continue;
+        }
+        const other = resolveAccountSection(cfg, otherId);
+        if (other.mode !== "push" || other.enabled === false) {
+            continue;
+        }
+        const endpoint = resolvePushEndpoint(other);
+        if (endpoint.port === port && (endpoint.host === host || isWildcardHost(endpoint.host) || isWildcardHost(host))) {
+            return (
+                `whisplay-im accounts "${effective.accountId}" and "${otherId}" both push to ${host}:${port}. ` +
+                `Give each push-mode account its own pushPort.`
+            );
+        }
+    }
+    return null;
+}
+
+function resolveAccountConfig(cfg, accountId) {
+    const effective = resolveAccountSection(cfg, accountId);
+    const pushEndpoint = resolvePushEndpoint(effective);
+    return {
+        accountId: effective.accountId,
+        enabled: effective?.enabled !== false,
+        ip: typeof effective?.ip === "string" ? effective.ip : "",
+        token: typeof effective?.token === "string" ? effective.token : "",
+        waitSec:
+            typeof effective?.waitSec === "number" && Number.isFinite(effective.waitSec)
+                ? effective.waitSec
+                : 60,
+        mode: effective?.mode === "push" ? "push" : "poll",
+        transport: effective?.transport === "ws" ? "ws" : "http",
+        streaming: effective?.streaming === true,
+        statusDebounceMs:
+            typeof effective?.statusDebounceMs === "number" && effective.statusDebounceMs >= 0
+                ? effective.statusDebounceMs
+                : STATUS_DEFAULT_DEBOUNCE_MS,
+        tts: effective?.tts === "gateway" ? "gateway" : "off",
+        pairingHints: effective?.pairingHints !== false,
+        pairingApproval: resolvePairingApproval(effective),
+        commands: resolveCommandOptions(effective),
+        access: resolveAccessPolicy(effective),
+        render: resolveRenderOptions(effective),
+        interrupt: INTERRUPT_POLICIES.has(effective?.interrupt) ? effective.interrupt : "explicit",
+        emoji: resolveEmojiOptions(effective),
+        locale: typeof effective?.locale === "string" ? effective.locale.trim() : "",
+        templates: effective?.templates && typeof effective.templates === "object" ? effective.templates : {},
+        queueMaxAgeSec:
+            typeof effective?.queueMaxAgeSec === "number" && effective.queueMaxAgeSec > 0
+                ? effective.queueMaxAgeSec
+                : OUTBOUND_QUEUE_DEFAULT_MAX_AGE_SEC,
+        queueMaxSize:
+            Number.isInteger(effective?.queueMaxSize) && effective.queueMaxSize > 0
+                ? effective.queueMaxSize
+                : OUTBOUND_QUEUE_DEFAULT_MAX_SIZE,
+        dispatchConcurrency:
+            Number.isInteger(effective?.dispatchConcurrency) && effective.dispatchConcurrency > 0
+                ? effective.dispatchConcurrency
+                : INBOUND_DEFAULT_CONCURRENCY,
+        coalesceMs:
+            Number.isInteger(effective?.coalesceMs) && effective.coalesceMs > 0 ? effective.coalesceMs : 0,
+        inboundQueueMaxSize:
+            Number.isInteger(effective?.inboundQueueMaxSize) && effective.inboundQueueMaxSize > 0
+                ? effective.inboundQueueMaxSize
+                : INBOUND_QUEUE_DEFAULT_MAX_SIZE,
+        dedupeTtlSec:
+            typeof effective?.dedupeTtlSec === "number" && effective.dedupeTtlSec > 0
+                ? effective.dedupeTtlSec
+                : DEDUPE_DEFAULT_TTL_SEC,
+        media: resolveMediaPolicy(effective),
+        image: resolveImageOptions(effective),
+        pushHost: pushEndpoint.host,
+        pushPort: pushEndpoint.port,
+        pushConfigError: resolvePushConfigError(cfg, effective),
+        configured:
+            effective?.hasAccountSection === true &&
+            typeof effective?.ip === "string" &&
+            effective.ip.trim().length > 0,
+        hasLegacyTopLevelDeviceConfig: effective.hasLegacyTopLevelDeviceConfig,
+    };
+}
+
 function normalizeBaseUrl(ip) {
     const raw = String(ip ?? "").trim();
     if (!raw) {
@@ -554,290 +1242,3477 @@ function buildHeaders(token) {
     return headers;
 }
 
-async function fetchImageAsBase64(url) {
-    if (!url) return "";
-    // Already a data URL
-    if (url.startsWith("data:")) return url;
-    try {
-        const response = await fetch(url);
-        if (!response.ok) return "";
-        const contentType = response.headers.get("content-type") || "image/jpeg";
-        const buffer = await response.arrayBuffer();
-        const base64 = Buffer.from(buffer).toString("base64");
-        return `data:${contentType};base64,${base64}`;
-    } catch (err) {
-        return "";
+class MediaFetchError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = "MediaFetchError";
+        this.code = code;
     }
 }
 
-async function sendStatus(baseUrl, token, status, extra = {}) {
-    const body = { status, ...extra };
-    const url = `${baseUrl}/whisplay-im/status`;
-    console.warn(`[sendStatus] POST ${url} status=${status} ${extra.tool ? `tool=${extra.tool}` : ''} ${extra.emoji || ''}`);
-    try {
-        const response = await fetch(url, {
-            method: "POST",
-            headers: buildHeaders(token),
-            body: JSON.stringify(body),
-        });
-        if (!response.ok) {
-            const respBody = await response.text().catch(() => "");
-            console.warn(`[sendStatus] FAILED: HTTP ${response.status}${respBody ? ` ${respBody}` : ""}`);
-        } else {
-            console.warn(`[sendStatus] OK: ${response.status}`);
-        }
-    } catch (err) {
-        console.warn(`[sendStatus] ERROR: ${err instanceof Error ? err.message : String(err)}`);
-    }
+function resolveMediaPolicy(account) {
+    const media = account?.media && typeof account.media === "object" ? account.media : {};
+    const positive = (value, fallback) =>
+        typeof value === "number" && Number.isFinite(value) && value > 0 ? value : fallback;
+    return {
+        maxBytes: positive(media.maxBytes, MEDIA_DEFAULT_MAX_BYTES),
+        timeoutMs: positive(media.timeoutMs, MEDIA_DEFAULT_TIMEOUT_MS),
+        maxRedirects:
+            Number.isInteger(media.maxRedirects) && media.maxRedirects >= 0
+                ? media.maxRedirects
+                : MEDIA_DEFAULT_MAX_REDIRECTS,
+        allowedContentTypes:
+            Array.isArray(media.allowedContentTypes) && media.allowedContentTypes.length > 0
+                ? media.allowedContentTypes.map((value) => String(value).trim().toLowerCase()).filter(Boolean)
+                : MEDIA_DEFAULT_CONTENT_TYPES,
+        blockPrivateNetwork: media.blockPrivateNetwork === true,
+        localRoot: typeof media.localRoot === "string" ? media.localRoot.trim() : "",
+    };
 }
 
-async function sendReply(baseUrl, token, reply, imageBase64) {
-    const body = { reply, emoji: "😊" };
-    if (imageBase64) {
-        body.imageBase64 = imageBase64;
-    }
-    const response = await fetch(`${baseUrl}/whisplay-im/send`, {
-        method: "POST",
-        headers: buildHeaders(token),
-        body: JSON.stringify(body),
-    });
+function isContentTypeAllowed(contentType, allowedContentTypes) {
+    return allowedContentTypes.some((pattern) =>
+        pattern.endsWith("/*") ? contentType.startsWith(pattern.slice(0, -1)) : contentType === pattern,
+    );
+}
 
-    if (!response.ok) {
-        const respBody = await response.text().catch(() => "");
-        throw new Error(`whisplay-im send failed: HTTP ${response.status}${respBody ? ` ${respBody}` : ""}`);
+function sniffImageType(buffer) {
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) {
+        return "image/png";
+    }
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return "image/jpeg";
+    }
+    if (buffer.length >= 6 && buffer.toString("ascii", 0, 4) === "GIF8") {
+        return "image/gif";
     }
+    if (buffer.length >= 12 && buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") {
+        return "image/webp";
+    }
+    return "";
+}
 
-    return { ok: true, channel: CHANNEL_ID };
+// The eight 16-bit groups of an IPv6 address, including one written with a dotted IPv4 tail.
+function expandIPv6(address) {
+    let text = address.toLowerCase().replace(/%.*$/, "");
+    const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+    const [head, tail] = text.includes("::") ? text.split("::") : [text, null];
+    const headGroups = head ? head.split(":") : [];
+    const tailGroups = tail ? tail.split(":") : [];
+    const zeros = tail === null ? [] : new Array(8 - headGroups.length - tailGroups.length).fill("0");
+    return [...headGroups, ...zeros, ...tailGroups].map((group) => Number.parseInt(group, 16));
 }
 
-function normalizeInboundItems(payload) {
-    if (!payload || typeof payload !== "object") {
-        return [];
+// Loopback, private, link-local, CGNAT, benchmarking, multicast and unspecified ranges, IPv4
+// and IPv6. IPv4-mapped (::ffff:a.b.c.d), SIIT (::ffff:0:a.b.c.d), IPv4-compatible (::a.b.c.d),
+// NAT64 (64:ff9b::a.b.c.d) and 6to4 (2002:aabb:ccdd::) addresses are judged by the IPv4 address
+// they carry, whichever way they are written.
+function isPrivateAddress(address) {
+    if (net.isIPv6(address)) {
+        const groups = expandIPv6(address);
+        const zeroPrefix = groups.slice(0, 5).every((group) => group === 0);
+        const mapped = zeroPrefix && groups[5] === 0xffff;
+        const siit = groups.slice(0, 4).every((group) => group === 0) && groups[4] === 0xffff && groups[5] === 0;
+        // :: and ::1 are not IPv4-compatible addresses
+        const compatible = zeroPrefix && groups[5] === 0 && (groups[6] !== 0 || groups[7] > 1);
+        const nat64 = groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every((group) => group === 0);
+        const sixToFour = groups[0] === 0x2002;
+        const embedded = mapped || siit || compatible || nat64 ? groups.slice(6, 8) : sixToFour ? groups.slice(1, 3) : null;
+        if (embedded) {
+            const [high, low] = embedded;
+            return isPrivateAddress([high >> 8, high & 0xff, low >> 8, low & 0xff].join("."));
+        }
+        return (
+            groups.every((group) => group === 0) ||
+            (groups.slice(0, 7).every((group) => group === 0) && groups[7] === 1) ||
+            (groups[0] & 0xfe00) === 0xfc00 ||
+            (groups[0] & 0xffc0) === 0xfe80 ||
+            (groups[0] & 0xff00) === 0xff00
+        );
     }
+    const [a, b] = address.split(".").map((part) => Number.parseInt(part, 10));
+    return (
+        a === 0 ||
+        a === 10 ||
+        a === 127 ||
+        a >= 224 ||
+        (a === 100 && b >= 64 && b <= 127) ||
+        (a === 169 && b === 254) ||
+        (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 168) ||
+        (a === 198 && (b === 18 || b === 19))
+    );
+}
 
-    const topLevelImageBase64 = typeof payload.imageBase64 === "string" ? payload.imageBase64.trim() : "";
-    const results = [];
-    const list = Array.isArray(payload.messages) ? payload.messages : [];
+// Resolve the host once and check every address. Returns the address the request must then
+// connect to, so a second, different DNS answer (rebinding) cannot be used.
+async function resolvePublicAddress(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, "");
+    let entries;
+    if (net.isIP(host)) {
+        entries = [{ address: host, family: net.isIP(host) }];
+    } else {
+        try {
+            entries = await dns.lookup(host, { all: true });
+        } catch {
+            throw new MediaFetchError("dns_failed", `cannot resolve ${host}`);
+        }
+    }
+    if (entries.length === 0 || entries.some((entry) => isPrivateAddress(entry.address))) {
+        throw new MediaFetchError("blocked_address", `${host} resolves to a private or loopback address`);
+    }
+    return entries[0];
+}
 
-    if (list.length > 0) {
-        for (const item of list) {
+// GET `url` over a connection to the already checked `pinned` address, as a fetch Response.
+function fetchPinned(url, pinned, signal) {
+    const client = url.protocol === "https:" ? https : http;
+    return new Promise((resolve, reject) => {
+        const request = client.request(
+            url,
+            {
+                method: "GET",
+                signal,
+                lookup: (hostname, options, callback) =>
+                    options?.all
+                        ? callback(null, [{ address: pinned.address, family: pinned.family }])
+                        : callback(null, pinned.address, pinned.family),
+            },
+            (response) => {
+                const headers = new Headers();
+                for (const [name, value] of Object.entries(response.headers)) {
+                    if (value !== undefined) {
+                        headers.set(name, Array.isArray(value) ? value.join(", ") : value);
+                    }
+                }
+                const status = response.statusCode ?? 502;
+                const body = [204, 205, 304].includes(status) ? null : Readable.toWeb(response);
+                if (!body) {
+                    response.resume();
+                }
+                resolve(new Response(body, { status, headers }));
+            },
+        );
+        request.on("error", reject);
+        request.end();
+    });
+}
+
+function parseDataUrl(url) {
+    const match = url.match(/^data:([^;,]*)(;base64)?,(.*)$/s);
+    if (!match) {
+        throw new MediaFetchError("invalid_url", "malformed data URL");
+    }
+    const buffer = match[2] ? Buffer.from(match[3], "base64") : Buffer.from(decodeURIComponent(match[3]), "utf8");
+    return { contentType: (match[1] || "text/plain").toLowerCase(), buffer };
+}
+
+async function readLocalMedia(filePath, policy) {
+    if (!policy.localRoot) {
+        throw new MediaFetchError("local_disabled", "local media paths are disabled (set media.localRoot)");
+    }
+    let realPath;
+    let realRoot;
+    try {
+        realRoot = await fs.realpath(policy.localRoot);
+        realPath = await fs.realpath(filePath);
+    } catch {
+        throw new MediaFetchError("not_found", `local media not found: ${filePath}`);
+    }
+    if (realPath !== realRoot && !realPath.startsWith(`${realRoot}${path.sep}`)) {
+        throw new MediaFetchError("outside_local_root", `${filePath} is outside ${policy.localRoot}`);
+    }
+    const stat = await fs.stat(realPath);
+    if (!stat.isFile()) {
+        throw new MediaFetchError("not_found", `local media is not a file: ${filePath}`);
+    }
+    if (stat.size > policy.maxBytes) {
+        throw new MediaFetchError("too_large", `local media exceeds ${policy.maxBytes} bytes`);
+    }
+    const buffer = await fs.readFile(realPath);
+    const contentType = MEDIA_EXTENSION_TYPES[path.extname(realPath).toLowerCase()] || sniffImageType(buffer);
+    return { contentType, buffer };
+}
+
+async function readResponseWithLimit(response, maxBytes) {
+    const declared = Number(response.headers.get("content-length"));
+    if (Number.isFinite(declared) && declared > maxBytes) {
+        throw new MediaFetchError("too_large", `media is ${declared} bytes, limit is ${maxBytes}`);
+    }
+    const chunks = [];
+    let total = 0;
+    for await (const chunk of response.body ?? []) {
+        total += chunk.length;
+        if (total > maxBytes) {
+            throw new MediaFetchError("too_large", `media exceeds ${maxBytes} bytes`);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks.map((chunk) => Buffer.from(chunk)));
+}
+
+async function fetchRemoteMedia(url, policy) {
+    const signal = AbortSignal.timeout(policy.timeoutMs);
+    let currentUrl = url;
+    try {
+        for (let redirects = 0; ; redirects += 1) {
+            const parsed = new URL(currentUrl);
+            if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+                throw new MediaFetchError("invalid_url", `unsupported media URL scheme ${parsed.protocol}`);
+            }
+            const response = policy.blockPrivateNetwork
+                ? await fetchPinned(parsed, await resolvePublicAddress(parsed.hostname), signal)
+                : await fetch(parsed, { redirect: "manual", signal });
+            if (response.status >= 300 && response.status < 400 && response.headers.get("location")) {
+                await response.body?.cancel().catch(() => {});
+                if (redirects >= policy.maxRedirects) {
+                    throw new MediaFetchError("too_many_redirects", `more than ${policy.maxRedirects} redirects`);
+                }
+                currentUrl = new URL(response.headers.get("location"), parsed).href;
+                continue;
+            }
+            if (!response.ok) {
+                await response.body?.cancel().catch(() => {});
+                throw new MediaFetchError("http_error", `media fetch failed: HTTP ${response.status}`);
+            }
+            const buffer = await readResponseWithLimit(response, policy.maxBytes);
+            const contentType = String(response.headers.get("content-type") ?? "").split(";")[0].trim().toLowerCase();
+            return { contentType, buffer };
+        }
+    } catch (err) {
+        if (err instanceof MediaFetchError) {
+            throw err;
+        }
+        if (err?.name === "TimeoutError" || signal.aborted) {
+            throw new MediaFetchError("timeout", `media fetch timed out after ${policy.timeoutMs}ms`);
+        }
+        if (err instanceof TypeError && err.message.startsWith("Invalid URL")) {
+            throw new MediaFetchError("invalid_url", `invalid media URL: ${currentUrl}`);
+        }
+        throw new MediaFetchError("network_error", `media fetch failed: ${err instanceof Error ? err.message : String(err)}`);
+    }
+}
+
+// Load agent-supplied media (http(s), data: or local file) under the account's media policy
+// and return it as a data URL. Throws MediaFetchError with a `code` describing the failure.
+async function fetchMediaAsDataUrl(url, policy = resolveMediaPolicy(null)) {
+    const source = String(url ?? "").trim();
+    if (!source) {
+        throw new MediaFetchError("invalid_url", "empty media URL");
+    }
+
+    let media;
+    if (source.startsWith("data:")) {
+        media = parseDataUrl(source);
+    } else if (source.startsWith("file://")) {
+        media = await readLocalMedia(fileURLToPath(source), policy);
+    } else if (path.isAbsolute(source)) {
+        media = await readLocalMedia(source, policy);
+    } else {
+        media = await fetchRemoteMedia(source, policy);
+    }
+
+    if (media.buffer.length > policy.maxBytes) {
+        throw new MediaFetchError("too_large", `media exceeds ${policy.maxBytes} bytes`);
+    }
+    let contentType = media.contentType;
+    if (!contentType || contentType === "application/octet-stream") {
+        contentType = sniffImageType(media.buffer) || extensionContentType(source) || contentType;
+    }
+    if (!contentType || !isContentTypeAllowed(contentType, policy.allowedContentTypes)) {
+        throw new MediaFetchError("unsupported_type", `media type ${contentType || "unknown"} is not allowed`);
+    }
+    return `data:${contentType};base64,${media.buffer.toString("base64")}`;
+}
+
+function dataUrlByteLength(dataUrl) {
+    const comma = dataUrl.indexOf(",");
+    return Buffer.byteLength(comma >= 0 ? dataUrl.slice(comma + 1) : dataUrl, "base64");
+}
+
+function extensionContentType(url) {
+    let pathname = String(url ?? "").trim();
+    if (pathname.startsWith("data:")) {
+        return "";
+    }
+    if (!path.isAbsolute(pathname)) {
+        try {
+            pathname = new URL(pathname).pathname;
+        } catch {
+            // not a URL; use the string as a path
+        }
+    }
+    return MEDIA_EXTENSION_TYPES[path.extname(pathname).toLowerCase()] ?? "";
+}
+
+function isAudioMediaUrl(url) {
+    const source = String(url ?? "").trim();
+    if (source.startsWith("data:")) {
+        return /^data:audio\//i.test(source);
+    }
+    return extensionContentType(source).startsWith("audio/");
+}
+
+function audioFormatFromContentType(contentType) {
+    const type = String(contentType ?? "").toLowerCase();
+    return Object.entries(AUDIO_FORMAT_TYPES).find(([, value]) => value === type)?.[0] ?? (type.split("/")[1] || "");
+}
+
+// Agent audio goes through the same fetch policy as images, restricted to audio types.
+async function fetchReplyAudio(url, policy) {
+    const dataUrl = await fetchMediaAsDataUrl(url, { ...policy, allowedContentTypes: ["audio/*"] });
+    const contentType = dataUrl.slice(5, dataUrl.indexOf(";"));
+    const extensionType = extensionContentType(url);
+    // .opus shares audio/ogg with .ogg; keep the more specific name for the device
+    const audioFormat =
+        path.extname(String(url)).toLowerCase() === ".opus" && extensionType === contentType
+            ? "opus"
+            : audioFormatFromContentType(contentType);
+    return { audioBase64: dataUrl, audioFormat };
+}
+
+// With `tts: "gateway"` reply text is rendered to speech by the host TTS runtime and sent as
+// `audioBase64` next to the text, so the device plays it instead of running its own TTS.
+// Returns null when TTS is off, the host has no TTS facility, or synthesis fails.
+async function synthesizeReplyAudio(cfg, account, text) {
+    const spoken = String(text ?? "").trim();
+    if (account?.tts !== "gateway" || !spoken || !deviceAllows(account.accountId, "audio")) {
+        return null;
+    }
+    const tts = pluginRuntime?.tts;
+    const synthesize = tts?.textToSpeech ?? tts?.synthesize;
+    if (typeof synthesize !== "function") {
+        const key = account.accountId ?? "default";
+        if (!ttsUnavailableWarned.has(key)) {
+            ttsUnavailableWarned.add(key);
+            console.warn(`[whisplay-im] tts=gateway for ${key} but the host exposes no TTS runtime; the device will speak`);
+        }
+        return null;
+    }
+    try {
+        const result = await synthesize.call(tts, { text: spoken, cfg, channel: CHANNEL_ID });
+        if (!result || result.success === false) {
+            throw new Error(result?.error || "no audio returned");
+        }
+        let buffer = null;
+        if (result.audioBuffer) {
+            buffer = Buffer.from(result.audioBuffer);
+        } else if (typeof result.audioPath === "string" && result.audioPath) {
+            buffer = await fs.readFile(result.audioPath);
+        }
+        if (!buffer || buffer.length === 0) {
+            throw new Error("no audio returned");
+        }
+        const extension = path.extname(result.audioPath ?? "").slice(1).toLowerCase();
+        const audioFormat = String(result.outputFormat || result.format || extension || "mp3")
+            .toLowerCase()
+            .split(/[_-]/)[0];
+        const contentType = AUDIO_FORMAT_TYPES[audioFormat] ?? `audio/${audioFormat}`;
+        return { audioBase64: `data:${contentType};base64,${buffer.toString("base64")}`, audioFormat };
+    } catch (err) {
+        console.warn(
+            `[whisplay-im] tts for ${account.accountId ?? "default"} failed, the device will speak: ${err instanceof Error ? err.message : String(err)}`,
+        );
+        return null;
+    }
+}
+
+// Without explicit bounds, resized images fit the screen size the device reported.
+function fitImageOptionsToScreen(options, accountId) {
+    const screen = getDeviceInfo(accountId)?.screen;
+    if (!options || !screen || options.maxWidth || options.maxHeight) {
+        return options;
+    }
+    return { ...options, maxWidth: screen.width, maxHeight: screen.height };
+}
+
+function resolveImageOptions(account) {
+    const image = account?.image;
+    if (!image || typeof image !== "object" || image.enabled === false) {
+        return null;
+    }
+    const dimension = (value) => (Number.isInteger(value) && value > 0 ? value : 0);
+    return {
+        maxWidth: dimension(image.maxWidth),
+        maxHeight: dimension(image.maxHeight),
+        format: image.format === "png" ? "png" : "jpeg",
+        quality:
+            Number.isInteger(image.quality) && image.quality >= 1 && image.quality <= 100
+                ? image.quality
+                : IMAGE_DEFAULT_QUALITY,
+        maxBytes: typeof image.maxBytes === "number" && image.maxBytes > 0 ? image.maxBytes : 0,
+    };
+}
+
+function loadImageCodecs() {
+    if (!imageCodecsLoader) {
+        imageCodecsLoader = Promise.all([import("pngjs"), import("jpeg-js")])
+            .then(([pngModule, jpegModule]) => ({
+                PNG: pngModule.PNG ?? pngModule.default?.PNG,
+                jpeg: jpegModule.default ?? jpegModule,
+            }))
+            .catch((err) => {
+                console.warn(
+                    `[whisplay-im] image codecs unavailable, sending images unchanged (run npm install in the plugin directory): ${
+                        err instanceof Error ? err.message : String(err)
+                    }`,
+                );
+                return null;
+            });
+    }
+    return imageCodecsLoader;
+}
+
+// Width and height from the IHDR chunk, which must directly follow the 8-byte PNG signature.
+function readPngDimensions(buffer) {
+    if (buffer.length < 24 || buffer.toString("latin1", 12, 16) !== "IHDR") {
+        return null;
+    }
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function decodeImage(codecs, contentType, buffer) {
+    if (contentType === "image/png") {
+        // pngjs has no resolution limit; check the header before it allocates the bitmap
+        const dimensions = readPngDimensions(buffer);
+        if (!dimensions) {
+            throw new Error("missing PNG header");
+        }
+        if (dimensions.width * dimensions.height > IMAGE_MAX_DECODE_MEGAPIXELS * 1000 * 1000) {
+            throw new Error(
+                `${dimensions.width}x${dimensions.height} exceeds the ${IMAGE_MAX_DECODE_MEGAPIXELS} megapixel decode limit`,
+            );
+        }
+        const png = codecs.PNG.sync.read(buffer);
+        return { width: png.width, height: png.height, data: png.data };
+    }
+    if (contentType === "image/jpeg") {
+        const jpeg = codecs.jpeg.decode(buffer, {
+            useTArray: true,
+            formatAsRGBA: true,
+            maxResolutionInMP: IMAGE_MAX_DECODE_MEGAPIXELS,
+        });
+        return { width: jpeg.width, height: jpeg.height, data: jpeg.data };
+    }
+    return null;
+}
+
+function fitWithin(width, height, maxWidth, maxHeight) {
+    const scale = Math.min(1, maxWidth > 0 ? maxWidth / width : 1, maxHeight > 0 ? maxHeight / height : 1);
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale)),
+    };
+}
+
+// Area-average downscale of an RGBA bitmap; sharper than nearest-neighbour for the
+// large reductions typical of photos shown on a small screen.
+function downscaleRgba(image, width, height) {
+    if (width >= image.width && height >= image.height) {
+        return image;
+    }
+    const data = new Uint8Array(width * height * 4);
+    const xRatio = image.width / width;
+    const yRatio = image.height / height;
+    for (let y = 0; y < height; y += 1) {
+        const top = Math.floor(y * yRatio);
+        const bottom = Math.max(top + 1, Math.min(image.height, Math.floor((y + 1) * yRatio)));
+        for (let x = 0; x < width; x += 1) {
+            const left = Math.floor(x * xRatio);
+            const right = Math.max(left + 1, Math.min(image.width, Math.floor((x + 1) * xRatio)));
+            const sums = [0, 0, 0, 0];
+            for (let sourceY = top; sourceY < bottom; sourceY += 1) {
+                let offset = (sourceY * image.width + left) * 4;
+                for (let sourceX = left; sourceX < right; sourceX += 1) {
+                    sums[0] += image.data[offset];
+                    sums[1] += image.data[offset + 1];
+                    sums[2] += image.data[offset + 2];
+                    sums[3] += image.data[offset + 3];
+                    offset += 4;
+                }
+            }
+            const count = (bottom - top) * (right - left);
+            const target = (y * width + x) * 4;
+            for (let channel = 0; channel < 4; channel += 1) {
+                data[target + channel] = Math.round(sums[channel] / count);
+            }
+        }
+    }
+    return { width, height, data };
+}
+
+function encodeImage(codecs, image, format, quality) {
+    if (format === "png") {
+        const png = new codecs.PNG({ width: image.width, height: image.height });
+        png.data = Buffer.from(image.data.buffer, image.data.byteOffset, image.data.byteLength);
+        return { contentType: "image/png", buffer: codecs.PNG.sync.write(png) };
+    }
+    // JPEG has no alpha channel: composite onto white
+    const rgba = Buffer.alloc(image.width * image.height * 4);
+    for (let offset = 0; offset < rgba.length; offset += 4) {
+        const alpha = image.data[offset + 3] / 255;
+        rgba[offset] = Math.round(image.data[offset] * alpha + 255 * (1 - alpha));
+        rgba[offset + 1] = Math.round(image.data[offset + 1] * alpha + 255 * (1 - alpha));
+        rgba[offset + 2] = Math.round(image.data[offset + 2] * alpha + 255 * (1 - alpha));
+        rgba[offset + 3] = 255;
+    }
+    const encoded = codecs.jpeg.encode({ data: rgba, width: image.width, height: image.height }, quality);
+    return { contentType: "image/jpeg", buffer: encoded.data };
+}
+
+// Resize and re-encode an image data URL for the device screen. Re-encoding drops EXIF and
+// other metadata. To honour maxBytes, JPEG quality is lowered first, then the size.
+// Formats the codecs cannot decode are passed through unless they exceed maxBytes.
+async function prepareImageForDevice(dataUrl, options) {
+    if (!options) {
+        return dataUrl;
+    }
+    const codecs = await loadImageCodecs();
+    if (!codecs) {
+        return dataUrl;
+    }
+
+    const { contentType, buffer } = parseDataUrl(dataUrl);
+    let image;
+    try {
+        image = decodeImage(codecs, contentType, buffer);
+    } catch (err) {
+        console.warn(
+            `[whisplay-im] cannot decode ${contentType}, sending unchanged: ${err instanceof Error ? err.message : String(err)}`,
+        );
+        image = null;
+    }
+    if (!image) {
+        if (options.maxBytes && buffer.length > options.maxBytes) {
+            throw new MediaFetchError("too_large", `${contentType} cannot be transcoded and exceeds ${options.maxBytes} bytes`);
+        }
+        return dataUrl;
+    }
+
+    let size = fitWithin(image.width, image.height, options.maxWidth, options.maxHeight);
+    let quality = options.quality;
+    for (;;) {
+        image = downscaleRgba(image, size.width, size.height);
+        const encoded = encodeImage(codecs, image, options.format, quality);
+        if (!options.maxBytes || encoded.buffer.length <= options.maxBytes) {
+            return `data:${encoded.contentType};base64,${encoded.buffer.toString("base64")}`;
+        }
+        if (options.format === "jpeg" && quality > IMAGE_MIN_QUALITY) {
+            quality = Math.max(IMAGE_MIN_QUALITY, quality - 15);
+            continue;
+        }
+        if (size.width <= IMAGE_MIN_EDGE || size.height <= IMAGE_MIN_EDGE) {
+            throw new MediaFetchError("too_large", `image cannot be reduced below ${options.maxBytes} bytes`);
+        }
+        size = {
+            width: Math.max(IMAGE_MIN_EDGE, Math.round(size.width * 0.75)),
+            height: Math.max(IMAGE_MIN_EDGE, Math.round(size.height * 0.75)),
+        };
+    }
+}
+
+// Reachability per device. Every request to the device reports its outcome; after
+// DEVICE_OFFLINE_AFTER_FAILURES failures in a row the device is "offline" and the breaker
+// stays open until `retryAt`, when the next request probes it again. Fewer failures mean
+// "degraded".
+function getDeviceHealth(baseUrl) {
+    let health = deviceHealthByBaseUrl.get(baseUrl);
+    if (!health) {
+        health = { state: "online", consecutiveFailures: 0, lastConnectedAt: null, lastFailureAt: null, retryAt: 0 };
+        deviceHealthByBaseUrl.set(baseUrl, health);
+    }
+    return health;
+}
+
+// Exponential backoff with equal jitter: half the delay is fixed, half random.
+function computeDeviceBackoffMs(failures) {
+    const delayMs = Math.min(DEVICE_BACKOFF_BASE_MS * 2 ** Math.max(0, failures - 1), DEVICE_BACKOFF_MAX_MS);
+    return Math.round(delayMs / 2 + Math.random() * (delayMs / 2));
+}
+
+function noteDeviceSuccess(baseUrl) {
+    const health = getDeviceHealth(baseUrl);
+    const recovered = health.state !== "online";
+    if (recovered) {
+        console.warn(`[whisplay-im] device ${baseUrl} reachable again after ${health.consecutiveFailures} failure(s)`);
+    }
+    Object.assign(health, { state: "online", consecutiveFailures: 0, lastConnectedAt: Date.now(), retryAt: 0 });
+    refreshDeviceHandshakes(baseUrl, recovered);
+}
+
+function noteDeviceFailure(baseUrl) {
+    const health = getDeviceHealth(baseUrl);
+    const now = Date.now();
+    health.consecutiveFailures += 1;
+    health.lastFailureAt = now;
+    health.retryAt = now + computeDeviceBackoffMs(health.consecutiveFailures);
+    const state = health.consecutiveFailures >= DEVICE_OFFLINE_AFTER_FAILURES ? "offline" : "degraded";
+    if (state === "offline" && health.state !== "offline") {
+        console.warn(`[whisplay-im] device ${baseUrl} offline after ${health.consecutiveFailures} failures`);
+    }
+    health.state = state;
+    return health;
+}
+
+// Milliseconds until an offline device may be tried again; 0 when requests may go out.
+function deviceBreakerWaitMs(baseUrl) {
+    const health = deviceHealthByBaseUrl.get(baseUrl);
+    if (!health || health.state !== "offline") {
+        return 0;
+    }
+    return Math.max(0, health.retryAt - Date.now());
+}
+
+// Fetch against the device, recording the outcome in its health. A non-OK response counts
+// as a failure; the response is returned either way.
+async function fetchDevice(baseUrl, url, init) {
+    let response;
+    try {
+        response = await fetch(url, init);
+    } catch (err) {
+        if (!init?.signal?.aborted) {
+            noteDeviceFailure(baseUrl);
+        }
+        throw err;
+    }
+    if (response.ok) {
+        noteDeviceSuccess(baseUrl);
+    } else {
+        noteDeviceFailure(baseUrl);
+    }
+    return response;
+}
+
+function getAccountMetrics(accountId) {
+    const key = String(accountId ?? "default");
+    let metrics = metricsByAccount.get(key);
+    if (!metrics) {
+        metrics = {
+            baseUrl: "",
+            counters: Object.fromEntries(Object.keys(METRIC_COUNTERS).map((name) => [name, 0])),
+            histograms: Object.fromEntries(
+                Object.keys(METRIC_HISTOGRAMS).map((name) => [
+                    name,
+                    { counts: METRICS_LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 },
+                ]),
+            ),
+        };
+        metricsByAccount.set(key, metrics);
+    }
+    return metrics;
+}
+
+function countMetric(accountId, name, amount = 1) {
+    getAccountMetrics(accountId).counters[name] += amount;
+}
+
+function observeMetric(accountId, name, seconds) {
+    const histogram = getAccountMetrics(accountId).histograms[name];
+    METRICS_LATENCY_BUCKETS.forEach((bound, index) => {
+        if (seconds <= bound) {
+            histogram.counts[index] += 1;
+        }
+    });
+    histogram.sum += seconds;
+    histogram.count += 1;
+}
+
+function snapshotMetrics(accountId) {
+    const metrics = metricsByAccount.get(String(accountId ?? "default"));
+    if (!metrics) {
+        return null;
+    }
+    const histograms = Object.fromEntries(
+        Object.entries(metrics.histograms).map(([name, histogram]) => [
+            name,
+            { count: histogram.count, sum: Number(histogram.sum.toFixed(3)) },
+        ]),
+    );
+    return { ...metrics.counters, ...histograms };
+}
+
+function toMetricName(name) {
+    return `whisplay_im_${name.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`)}`;
+}
+
+// Prometheus text exposition format, one series per account.
+function renderPrometheusMetrics() {
+    const lines = [];
+    const accounts = [...metricsByAccount.entries()];
+    // label values escape only backslash, double quote and newline
+    const escape = (value) => String(value).replace(/[\\"\n]/g, (char) => (char === "\n" ? "\\n" : `\\${char}`));
+    const label = (accountId, extra = "") => `{account="${escape(accountId)}"${extra}}`;
+    for (const [name, help] of Object.entries(METRIC_COUNTERS)) {
+        const metricName = `${toMetricName(name)}_total`;
+        lines.push(`# HELP ${metricName} ${help}.`, `# TYPE ${metricName} counter`);
+        for (const [accountId, metrics] of accounts) {
+            lines.push(`${metricName}${label(accountId)} ${metrics.counters[name]}`);
+        }
+    }
+    for (const [name, help] of Object.entries(METRIC_HISTOGRAMS)) {
+        const metricName = toMetricName(name);
+        lines.push(`# HELP ${metricName} ${help}.`, `# TYPE ${metricName} histogram`);
+        for (const [accountId, metrics] of accounts) {
+            const histogram = metrics.histograms[name];
+            METRICS_LATENCY_BUCKETS.forEach((bound, index) => {
+                lines.push(`${metricName}_bucket${label(accountId, `,le="${bound}"`)} ${histogram.counts[index]}`);
+            });
+            lines.push(`${metricName}_bucket${label(accountId, ',le="+Inf"')} ${histogram.count}`);
+            lines.push(`${metricName}_sum${label(accountId)} ${histogram.sum}`);
+            lines.push(`${metricName}_count${label(accountId)} ${histogram.count}`);
+        }
+    }
+    const gauges = [
+        ["device_up", "1 while the device answers requests, 0 once it is offline", (health) => (health?.state === "offline" ? 0 : 1)],
+        ["device_consecutive_failures", "Failed device requests in a row", (health) => health?.consecutiveFailures ?? 0],
+        [
+            "device_last_connected_timestamp_seconds",
+            "Unix time of the last successful device request",
+            (health) => (health?.lastConnectedAt ? Math.floor(health.lastConnectedAt / 1000) : 0),
+        ],
+    ];
+    for (const [name, help, read] of gauges) {
+        const metricName = `whisplay_im_${name}`;
+        lines.push(`# HELP ${metricName} ${help}.`, `# TYPE ${metricName} gauge`);
+        for (const [accountId, metrics] of accounts) {
+            lines.push(`${metricName}${label(accountId)} ${read(deviceHealthByBaseUrl.get(metrics.baseUrl))}`);
+        }
+    }
+    const queueMetric = "whisplay_im_outbound_queued";
+    lines.push(`# HELP ${queueMetric} Replies waiting in the offline queue.`, `# TYPE ${queueMetric} gauge`);
+    for (const [accountId] of accounts) {
+        lines.push(`${queueMetric}${label(accountId)} ${getOutboundQueueStats(accountId).queued}`);
+    }
+    const pendingMetric = "whisplay_im_inbound_pending";
+    lines.push(`# HELP ${pendingMetric} Inbound messages queued or being dispatched.`, `# TYPE ${pendingMetric} gauge`);
+    for (const [accountId] of accounts) {
+        lines.push(`${pendingMetric}${label(accountId)} ${getInboundQueueStats(accountId).pending}`);
+    }
+    return `${lines.join("\n")}\n`;
+}
+
+// Channel-level `metrics`: `port` serves the Prometheus text format over HTTP (on `host`,
+// default 127.0.0.1, at `path`), `file` rewrites a text file every `intervalSec` (for the
+// node_exporter textfile collector). Returns null when neither is set.
+function resolveMetricsExport(cfg) {
+    const section = cfg?.channels?.[CHANNEL_ID]?.metrics;
+    if (!section || typeof section !== "object" || section.enabled === false) {
+        return null;
+    }
+    const port = Number.isInteger(section.port) && section.port > 0 && section.port <= 65535 ? section.port : 0;
+    const file = typeof section.file === "string" ? section.file.trim() : "";
+    if (!port && !file) {
+        return null;
+    }
+    return {
+        host: typeof section.host === "string" && section.host.trim() ? section.host.trim() : METRICS_DEFAULT_HOST,
+        port,
+        path: typeof section.path === "string" && section.path.startsWith("/") ? section.path : METRICS_DEFAULT_PATH,
+        file,
+        intervalSec:
+            typeof section.intervalSec === "number" && section.intervalSec > 0
+                ? section.intervalSec
+                : METRICS_DEFAULT_FILE_INTERVAL_SEC,
+    };
+}
+
+async function writeMetricsFile(file) {
+    try {
+        await writeTextFileAtomic(file, renderPrometheusMetrics());
+    } catch (err) {
+        console.warn(`[whisplay-im] metrics file ${file} not written: ${err instanceof Error ? err.message : String(err)}`);
+    }
+}
+
+async function startMetricsExporter(exporter, log) {
+    const { options } = exporter;
+    if (options.port) {
+        const server = http.createServer((req, res) => {
+            const pathname = new URL(req.url ?? "/", "http://localhost").pathname;
+            if (req.method !== "GET" || pathname !== options.path) {
+                res.statusCode = 404;
+                res.end();
+                return;
+            }
+            res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+            res.end(renderPrometheusMetrics());
+        });
+        try {
+            await new Promise((resolve, reject) => {
+                server.once("error", reject);
+                server.listen(options.port, options.host, resolve);
+            });
+            exporter.server = server;
+            log?.info?.(`[whisplay-im] metrics on http://${options.host}:${options.port}${options.path}`);
+        } catch (err) {
+            log?.warn?.(`[whisplay-im] metrics endpoint not started: ${err instanceof Error ? err.message : String(err)}`);
+        }
+    }
+    if (metricsExporter !== exporter) {
+        // replaced or released while the endpoint was starting
+        await stopMetricsExporter(exporter);
+        return;
+    }
+    if (options.file) {
+        exporter.timer = setInterval(() => writeMetricsFile(options.file), options.intervalSec * 1000);
+        exporter.timer.unref?.();
+    }
+}
+
+async function stopMetricsExporter(exporter) {
+    if (!exporter) {
+        return;
+    }
+    clearInterval(exporter.timer);
+    exporter.timer = null;
+    const { server } = exporter;
+    exporter.server = null;
+    if (exporter.options.file) {
+        await writeMetricsFile(exporter.options.file);
+    }
+    if (server) {
+        await new Promise((resolve) => server.close(() => resolve()));
+    }
+}
+
+// One exporter is shared by all running accounts and stops after the last account stops. Its
+// settings are the channel-level `metrics` section, not an account's: an account starting with
+// a different section (after a config reload) restarts the exporter with it.
+async function acquireMetricsExporter(cfg, log) {
+    const options = resolveMetricsExport(cfg);
+    metricsExporterUsers += 1;
+    if (JSON.stringify(metricsExporter?.options ?? null) !== JSON.stringify(options)) {
+        const previous = metricsExporter;
+        const exporter = options ? { server: null, timer: null, options } : null;
+        metricsExporter = exporter;
+        await stopMetricsExporter(previous);
+        if (exporter && metricsExporter === exporter) {
+            await startMetricsExporter(exporter, log);
+        }
+    }
+    let released = false;
+    return async () => {
+        if (released) {
+            return;
+        }
+        released = true;
+        metricsExporterUsers -= 1;
+        if (metricsExporterUsers > 0) {
+            return;
+        }
+        const exporter = metricsExporter;
+        metricsExporter = null;
+        await stopMetricsExporter(exporter);
+    };
+}
+
+// Resolves to whether the device took the update; never throws.
+async function sendStatus(baseUrl, token, status, extra = {}) {
+    const body = { status, ...extra };
+    const url = `${baseUrl}/whisplay-im/status`;
+    const socketLink = deviceSocketsByBaseUrl.get(baseUrl);
+    if (socketLink?.send({ type: "status", ...body })) {
+        console.warn(`[sendStatus] WS status=${status} ${extra.tool ? `tool=${extra.tool}` : ''} ${extra.emoji || ''}`);
+        return true;
+    }
+    if (deviceBreakerWaitMs(baseUrl) > 0) {
+        console.warn(`[sendStatus] SKIPPED status=${status}: device offline`);
+        return false;
+    }
+    console.warn(`[sendStatus] POST ${url} status=${status} ${extra.tool ? `tool=${extra.tool}` : ''} ${extra.emoji || ''}`);
+    try {
+        const response = await fetchDevice(baseUrl, url, {
+            method: "POST",
+            headers: buildHeaders(token),
+            body: JSON.stringify(body),
+        });
+        if (!response.ok) {
+            const respBody = await response.text().catch(() => "");
+            console.warn(`[sendStatus] FAILED: HTTP ${response.status}${respBody ? ` ${respBody}` : ""}`);
+            return false;
+        }
+        console.warn(`[sendStatus] OK: ${response.status}`);
+        return true;
+    } catch (err) {
+        console.warn(`[sendStatus] ERROR: ${err instanceof Error ? err.message : String(err)}`);
+        return false;
+    }
+}
+
+async function sendAccountStatus(accountId, baseUrl, token, status, extra) {
+    const delivered = await sendStatus(baseUrl, token, status, extra);
+    countMetric(accountId, delivered ? "statusPushes" : "statusFailures");
+    return delivered;
+}
+
+// Per-account `emoji` settings: `reply`, `error` and `system` defaults plus a `keywords` map
+// (keyword -> emoji, first match wins, case-insensitive) consulted for normal replies only.
+// Keywords with CJK characters match anywhere, others only as whole words.
+function resolveEmojiOptions(account) {
+    const emoji = account?.emoji && typeof account.emoji === "object" ? account.emoji : {};
+    const pick = (value, fallback) => (typeof value === "string" && value.trim() ? value.trim() : fallback);
+    const keywords = Array.isArray(emoji.keywords)
+        ? emoji.keywords
+        : Object.entries(emoji.keywords && typeof emoji.keywords === "object" ? emoji.keywords : {});
+    return {
+        reply: pick(emoji.reply, REPLY_EMOJI_DEFAULTS.reply),
+        error: pick(emoji.error, REPLY_EMOJI_DEFAULTS.error),
+        system: pick(emoji.system, REPLY_EMOJI_DEFAULTS.system),
+        keywords: keywords
+            .map(([keyword, value]) => [String(keyword ?? "").trim().toLowerCase(), pick(value, "")])
+            .filter(([keyword, value]) => keyword && value),
+    };
+}
+
+function containsKeyword(text, keyword) {
+    if (CJK_CHAR_PATTERN.test(keyword)) {
+        return text.includes(keyword);
+    }
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, "u").test(text);
+}
+
+// Pick the emoji for a reply of `kind` ("reply", "error" or "system"). A leading `[emoji:X]`
+// directive from the agent wins and is stripped from the text.
+function chooseReplyEmoji(text, account, kind = "reply") {
+    const options = resolveEmojiOptions(account);
+    const source = String(text ?? "");
+    const directive = source.match(EMOJI_DIRECTIVE_PATTERN);
+    if (directive) {
+        return { text: source.slice(directive[0].length), emoji: directive[1] };
+    }
+    if (kind === "error" || kind === "system") {
+        return { text: source, emoji: options[kind] };
+    }
+    const lower = source.toLowerCase();
+    const keyword = options.keywords.find(([match]) => containsKeyword(lower, match));
+    return { text: source, emoji: keyword ? keyword[1] : options.reply };
+}
+
+function buildReplyBody(reply, imageBase64, extra = {}) {
+    const body = { reply, emoji: REPLY_EMOJI_DEFAULTS.reply, ...extra };
+    if (imageBase64) {
+        body.imageBase64 = imageBase64;
+    }
+    return body;
+}
+
+async function postReplyBody(baseUrl, token, body) {
+    const socketLink = deviceSocketsByBaseUrl.get(baseUrl);
+    if (socketLink) {
+        try {
+            await socketLink.request({ type: "reply", ...body });
+            return;
+        } catch (err) {
+            console.warn(
+                `[whisplay-im] websocket reply failed, retrying over HTTP: ${err instanceof Error ? err.message : String(err)}`,
+            );
+        }
+    }
+    const response = await fetchDevice(baseUrl, `${baseUrl}/whisplay-im/send`, {
+        method: "POST",
+        headers: buildHeaders(token),
+        body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+        const respBody = await response.text().catch(() => "");
+        throw new Error(`whisplay-im send failed: HTTP ${response.status}${respBody ? ` ${respBody}` : ""}`);
+    }
+}
+
+function buildReplyTarget(account) {
+    return {
+        accountId: account.accountId ?? "default",
+        baseUrl: normalizeBaseUrl(account.ip),
+        token: account.token,
+        account,
+    };
+}
+
+function resolveStateDir() {
+    const fromRuntime = pluginRuntime?.state?.resolveStateDir?.();
+    if (typeof fromRuntime === "string" && fromRuntime.trim()) {
+        return fromRuntime;
+    }
+    const fromEnv = String(process.env.OPENCLAW_STATE_DIR ?? "").trim();
+    if (fromEnv) {
+        return fromEnv;
+    }
+    return path.join(process.env.HOME || "/home/pi", ".openclaw");
+}
+
+function resolvePluginStatePath(...segments) {
+    return path.join(resolveStateDir(), CHANNEL_ID, ...segments);
+}
+
+async function readJsonFile(filePath, fallback) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch {
+        return fallback;
+    }
+}
+
+async function writeTextFileAtomic(filePath, text) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, text, "utf8");
+    await fs.rename(tmpPath, filePath);
+}
+
+async function writeJsonFileAtomic(filePath, value) {
+    await writeTextFileAtomic(filePath, JSON.stringify(value));
+}
+
+// Replies that could not be delivered are kept per account in
+// <stateDir>/whisplay-im/outbound/<accountId>.json and retried in order with backoff. Their
+// media goes to <stateDir>/whisplay-im/outbound/<accountId>/<entryId>.json, so the queue file
+// stays small however often it is rewritten.
+function getOutboundQueue(accountId) {
+    const key = String(accountId ?? "default");
+    let queue = outboundQueueByAccount.get(key);
+    if (!queue) {
+        const fileKey = sanitizeSessionPart(key) || "default";
+        queue = {
+            accountId: key,
+            filePath: resolvePluginStatePath("outbound", `${fileKey}.json`),
+            mediaDir: resolvePluginStatePath("outbound", fileKey),
+            staleMedia: [],
+            pending: [],
+            deadLetter: [],
+            target: null,
+            loaded: null,
+            draining: null,
+            timer: null,
+            saveChain: Promise.resolve(),
+        };
+        queue.loaded = readJsonFile(queue.filePath, {}).then((data) => {
+            queue.pending = Array.isArray(data?.pending) ? data.pending : [];
+            queue.deadLetter = Array.isArray(data?.deadLetter) ? data.deadLetter : [];
+        });
+        outboundQueueByAccount.set(key, queue);
+    }
+    return queue;
+}
+
+function pickEntryMedia(body) {
+    const media = {};
+    for (const field of OUTBOUND_MEDIA_FIELDS) {
+        if (body?.[field] !== undefined) {
+            media[field] = body[field];
+        }
+    }
+    return Object.keys(media).length > 0 ? media : null;
+}
+
+function omitEntryMedia(body) {
+    const rest = { ...body };
+    for (const field of OUTBOUND_MEDIA_FIELDS) {
+        delete rest[field];
+    }
+    return rest;
+}
+
+function entryMediaPath(queue, entry) {
+    return path.join(queue.mediaDir, `${entry.id}.json`);
+}
+
+// Entries read back from disk carry only a reference to their media; load it before sending.
+async function loadEntryMedia(queue, entry) {
+    if (!entry.mediaStored || pickEntryMedia(entry.body)) {
+        return;
+    }
+    const media = await readJsonFile(entryMediaPath(queue, entry), null);
+    if (media && typeof media === "object") {
+        entry.body = { ...entry.body, ...media };
+    }
+}
+
+// Called when an entry leaves `pending`; its media file is removed on the next save.
+function releaseEntryMedia(queue, entry) {
+    if (entry.mediaStored) {
+        queue.staleMedia.push(entryMediaPath(queue, entry));
+    }
+}
+
+async function writeOutboundQueue(queue) {
+    for (const entry of queue.pending) {
+        const media = entry.mediaStored ? null : pickEntryMedia(entry.body);
+        if (media) {
+            await writeJsonFileAtomic(entryMediaPath(queue, entry), media);
+            entry.mediaStored = true;
+        }
+    }
+    await writeJsonFileAtomic(queue.filePath, {
+        pending: queue.pending.map((entry) => (entry.mediaStored ? { ...entry, body: omitEntryMedia(entry.body) } : entry)),
+        deadLetter: queue.deadLetter,
+    });
+    for (const mediaPath of queue.staleMedia.splice(0)) {
+        await fs.rm(mediaPath, { force: true });
+    }
+}
+
+function saveOutboundQueue(queue) {
+    queue.saveChain = queue.saveChain.then(() =>
+        writeOutboundQueue(queue).catch((err) => {
+            console.warn(
+                `[whisplay-im] outbound queue save failed for ${queue.accountId}: ${err instanceof Error ? err.message : String(err)}`,
+            );
+        }),
+    );
+    return queue.saveChain;
+}
+
+function resolveQueueLimits(account) {
+    return {
+        maxAgeMs:
+            (typeof account?.queueMaxAgeSec === "number" && account.queueMaxAgeSec > 0
+                ? account.queueMaxAgeSec
+                : OUTBOUND_QUEUE_DEFAULT_MAX_AGE_SEC) * 1000,
+        maxSize:
+            Number.isInteger(account?.queueMaxSize) && account.queueMaxSize > 0
+                ? account.queueMaxSize
+                : OUTBOUND_QUEUE_DEFAULT_MAX_SIZE,
+    };
+}
+
+function computeRetryDelayMs(attempts) {
+    return Math.min(OUTBOUND_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), OUTBOUND_RETRY_MAX_MS);
+}
+
+function moveToDeadLetter(queue, entry, reason) {
+    const index = queue.pending.indexOf(entry);
+    if (index >= 0) {
+        queue.pending.splice(index, 1);
+    }
+    releaseEntryMedia(queue, entry);
+    countMetric(queue.accountId, "repliesDropped");
+    // keep the dead-letter file small: the text is what matters for diagnosis
+    const body = { ...entry.body };
+    for (const field of OUTBOUND_MEDIA_FIELDS) {
+        if (body[field] !== undefined) {
+            body[field] = "[omitted]";
+        }
+    }
+    const { mediaStored, ...rest } = entry;
+    queue.deadLetter.push({ ...rest, body, reason, deadAt: Date.now() });
+    if (queue.deadLetter.length > OUTBOUND_DEAD_LETTER_LIMIT) {
+        queue.deadLetter.splice(0, queue.deadLetter.length - OUTBOUND_DEAD_LETTER_LIMIT);
+    }
+    console.warn(`[whisplay-im] outbound reply ${entry.id} for ${queue.accountId} dead-lettered: ${reason}`);
+}
+
+function scheduleOutboundDrain(queue, delayMs) {
+    if (queue.timer) {
+        clearTimeout(queue.timer);
+    }
+    queue.timer = setTimeout(() => {
+        queue.timer = null;
+        drainOutboundQueue(queue);
+    }, Math.max(0, delayMs));
+    queue.timer.unref?.();
+}
+
+function drainOutboundQueue(queue) {
+    if (queue.draining) {
+        return queue.draining;
+    }
+    queue.draining = (async () => {
+        await queue.loaded;
+        while (queue.pending.length > 0 && queue.target) {
+            const entry = queue.pending[0];
+            const now = Date.now();
+            const { maxAgeMs } = resolveQueueLimits(queue.target.account);
+            if (now - entry.createdAt > maxAgeMs) {
+                moveToDeadLetter(queue, entry, `expired after ${entry.attempts} attempt(s): ${entry.lastError ?? "unknown error"}`);
+                await saveOutboundQueue(queue);
+                continue;
+            }
+            const waitMs = Math.max(entry.nextAttemptAt - now, deviceBreakerWaitMs(queue.target.baseUrl));
+            if (waitMs > 0) {
+                scheduleOutboundDrain(queue, waitMs);
+                break;
+            }
+            try {
+                await loadEntryMedia(queue, entry);
+                await postReplyBody(queue.target.baseUrl, queue.target.token, entry.body);
+                // deliverReply may have dead-lettered entries from the front while this one was sent
+                const index = queue.pending.indexOf(entry);
+                if (index >= 0) {
+                    queue.pending.splice(index, 1);
+                }
+                releaseEntryMedia(queue, entry);
+                countMetric(queue.accountId, "repliesSent");
+                console.warn(`[whisplay-im] outbound reply ${entry.id} for ${queue.accountId} delivered from queue`);
+                await saveOutboundQueue(queue);
+            } catch (err) {
+                countMetric(queue.accountId, "replyFailures");
+                entry.attempts += 1;
+                entry.lastError = err instanceof Error ? err.message : String(err);
+                entry.nextAttemptAt = Date.now() + computeRetryDelayMs(entry.attempts);
+                await saveOutboundQueue(queue);
+                scheduleOutboundDrain(queue, entry.nextAttemptAt - Date.now());
+                break;
+            }
+        }
+    })()
+        .catch((err) => {
+            console.warn(
+                `[whisplay-im] outbound queue drain failed for ${queue.accountId}: ${err instanceof Error ? err.message : String(err)}`,
+            );
+        })
+        .finally(() => {
+            queue.draining = null;
+        });
+    return queue.draining;
+}
+
+// Retry queued replies right away, e.g. once the device answered a poll again.
+function resumeOutboundQueue(target) {
+    const queue = getOutboundQueue(target.accountId);
+    queue.target = target;
+    queue.loaded.then(() => {
+        if (queue.pending.length === 0) {
+            return;
+        }
+        queue.pending[0].nextAttemptAt = 0;
+        drainOutboundQueue(queue);
+    });
+}
+
+// Drop the queued replies of an interrupted answer; the device was told to stop playing it.
+function dropQueuedRunReplies(accountId, runId) {
+    const queue = outboundQueueByAccount.get(String(accountId ?? "default"));
+    if (!queue) {
+        return;
+    }
+    const dropped = queue.pending.filter((entry) => entry.runId === runId);
+    if (dropped.length === 0) {
+        return;
+    }
+    for (const entry of dropped) {
+        queue.pending.splice(queue.pending.indexOf(entry), 1);
+        releaseEntryMedia(queue, entry);
+    }
+    console.warn(`[whisplay-im] dropped ${dropped.length} queued reply(s) of an interrupted answer for ${queue.accountId}`);
+    saveOutboundQueue(queue);
+}
+
+function getOutboundQueueStats(accountId) {
+    const queue = outboundQueueByAccount.get(String(accountId ?? "default"));
+    return {
+        queued: queue?.pending.length ?? 0,
+        deadLettered: queue?.deadLetter.length ?? 0,
+    };
+}
+
+// `runId` tags replies of an answer that is still running, so an interrupt can take them back.
+function createQueueEntry(body, error, runId) {
+    const now = Date.now();
+    return {
+        id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        ...(runId ? { runId } : {}),
+        body,
+        createdAt: now,
+        attempts: error ? 1 : 0,
+        lastError: error ? (error instanceof Error ? error.message : String(error)) : null,
+        nextAttemptAt: error ? now + computeRetryDelayMs(1) : 0,
+    };
+}
+
+// Deliver a reply to the device, keeping order with anything already queued. When the device
+// cannot be reached the reply is queued for retry instead of failing. A target with a `run`
+// ({ id, signal }) belongs to one answer: once that answer is interrupted nothing more is sent.
+async function deliverReply(target, reply, imageBase64, extra = {}) {
+    const body = buildReplyBody(reply, imageBase64, extra);
+    const queue = getOutboundQueue(target.accountId);
+    queue.target = target;
+    await queue.loaded;
+    const runId = target.run?.id;
+    if (target.run?.signal.aborted) {
+        return { ok: false, channel: CHANNEL_ID, interrupted: true };
+    }
+
+    if (queue.pending.length === 0 && deviceBreakerWaitMs(target.baseUrl) > 0) {
+        queue.pending.push({ ...createQueueEntry(body, null, runId), lastError: "device offline" });
+    } else if (queue.pending.length === 0) {
+        try {
+            await postReplyBody(target.baseUrl, target.token, body);
+            countMetric(target.accountId, "repliesSent");
+            return { ok: true, channel: CHANNEL_ID };
+        } catch (err) {
+            countMetric(target.accountId, "replyFailures");
+            console.warn(
+                `[whisplay-im] reply to ${target.accountId} failed, queued for retry: ${err instanceof Error ? err.message : String(err)}`,
+            );
+            queue.pending.push(createQueueEntry(body, err, runId));
+        }
+    } else {
+        queue.pending.push(createQueueEntry(body, null, runId));
+    }
+
+    const { maxSize } = resolveQueueLimits(target.account);
+    while (queue.pending.length > maxSize) {
+        moveToDeadLetter(queue, queue.pending[0], "queue full");
+    }
+    await saveOutboundQueue(queue);
+    drainOutboundQueue(queue);
+    return { ok: true, channel: CHANNEL_ID, queued: true };
+}
+
+// Devices list optional protocol features (e.g. "images") in a top-level `features`
+// array of their poll/push payloads; the latest list per account, on top of the features
+// from the handshake, gates those features.
+function noteDeviceFeatures(accountId, features) {
+    if (!Array.isArray(features)) {
+        return;
+    }
+    const normalized = features.map((value) => String(value ?? "").trim()).filter(Boolean);
+    const handshakeFeatures = getDeviceInfo(accountId)?.features ?? [];
+    deviceFeaturesByAccount.set(String(accountId ?? "default"), new Set([...handshakeFeatures, ...normalized]));
+}
+
+// Ask the device what it is: `GET /whisplay-im/info` answers with `firmware`, `protocol`,
+// `screen` ({ width, height }), `features` and optionally `locale`. Firmware without the
+// endpoint is recorded as a "fallback" device and keeps today's behavior. Never throws.
+async function handshakeDevice(accountId, baseUrl, token) {
+    const key = String(accountId ?? "default");
+    let info = { source: "fallback", firmware: null, protocol: null, screen: null, features: [], checkedAt: Date.now() };
+    const handshake = deviceHandshakeByAccount.get(key) ?? { refreshing: false };
+    Object.assign(handshake, { baseUrl, token, unreachable: false });
+    deviceHandshakeByAccount.set(key, handshake);
+    try {
+        const response = await fetch(`${baseUrl}${DEVICE_INFO_PATH}?protocol=${DEVICE_PROTOCOL_VERSION}`, {
+            headers: buildHeaders(token),
+            signal: AbortSignal.timeout(DEVICE_INFO_TIMEOUT_MS),
+        });
+        if (response.ok) {
+            const body = await response.json();
+            const deviceProtocol = Number(body?.protocol);
+            const width = Number(body?.screen?.width);
+            const height = Number(body?.screen?.height);
+            info = {
+                ...info,
+                source: "handshake",
+                firmware: typeof body?.firmware === "string" ? body.firmware : null,
+                // both sides speak the lower of the two versions
+                protocol:
+                    Number.isInteger(deviceProtocol) && deviceProtocol > 0
+                        ? Math.min(deviceProtocol, DEVICE_PROTOCOL_VERSION)
+                        : DEVICE_PROTOCOL_VERSION,
+                screen:
+                    width > 0 && height > 0 ? { width: Math.round(width), height: Math.round(height) } : null,
+                features: Array.isArray(body?.features)
+                    ? body.features.map((value) => String(value ?? "").trim()).filter(Boolean)
+                    : [],
+            };
+            deviceFeaturesByAccount.set(key, new Set(info.features));
+            noteDeviceLocale(key, body?.locale);
+        } else {
+            console.warn(`[whisplay-im] device info for ${key} unavailable (HTTP ${response.status}); using defaults`);
+        }
+    } catch (err) {
+        handshake.unreachable = true;
+        console.warn(
+            `[whisplay-im] device info for ${key} unavailable (${err instanceof Error ? err.message : String(err)}); using defaults`,
+        );
+    }
+    deviceInfoByAccount.set(key, info);
+    return info;
+}
+
+// Repeat the handshake of every account on this device once it answers again: when it was
+// unreachable for the last handshake, or after being degraded or offline, as it may have
+// restarted with other firmware.
+function refreshDeviceHandshakes(baseUrl, recovered) {
+    for (const [accountId, handshake] of deviceHandshakeByAccount) {
+        if (handshake.baseUrl !== baseUrl || handshake.refreshing || !(recovered || handshake.unreachable)) {
+            continue;
+        }
+        handshake.refreshing = true;
+        handshakeDevice(accountId, baseUrl, handshake.token)
+            .then((info) => {
+                console.warn(`[whisplay-im] device info for ${accountId} refreshed: ${info.source}`);
+            })
+            .finally(() => {
+                handshake.refreshing = false;
+            });
+    }
+}
+
+function getDeviceInfo(accountId) {
+    return deviceInfoByAccount.get(String(accountId ?? "default")) ?? null;
+}
+
+// For features older firmware already has (audio, stream, ws): allowed unless a handshake
+// listed the device's features and this one is missing.
+function deviceAllows(accountId, feature) {
+    if (getDeviceInfo(accountId)?.source !== "handshake") {
+        return true;
+    }
+    return deviceSupports(accountId, feature);
+}
+
+function noteDeviceLocale(accountId, locale) {
+    const value = typeof locale === "string" ? locale.trim() : "";
+    if (value) {
+        deviceLocaleByAccount.set(String(accountId ?? "default"), value);
+    }
+}
+
+// The account `locale` wins over the one the device reports; "zh-CN" falls back to "zh".
+function resolveMessageLocale(account) {
+    const candidates = [account?.locale, deviceLocaleByAccount.get(String(account?.accountId ?? "default"))];
+    for (const candidate of candidates) {
+        const value = String(candidate ?? "").trim().toLowerCase().replace(/_/g, "-");
+        if (MESSAGE_LOCALES[value]) {
+            return value;
+        }
+        const base = value.split("-")[0];
+        if (MESSAGE_LOCALES[base]) {
+            return base;
+        }
+    }
+    return MESSAGE_DEFAULT_LOCALE;
+}
+
+// Render status or system message `key` for an account: the locale pack, overlaid with the
+// account's `templates[key]`. Returns `{ emoji?, text? }`, or null when the template is disabled.
+function renderMessage(account, key, vars = {}) {
+    const override = account?.templates?.[key];
+    const template = {
+        ...MESSAGE_LOCALES[MESSAGE_DEFAULT_LOCALE][key],
+        ...MESSAGE_LOCALES[resolveMessageLocale(account)][key],
+        ...(override && typeof override === "object" ? override : {}),
+    };
+    if (template.enabled === false && !MESSAGE_REQUIRED_KEYS.has(key)) {
+        return null;
+    }
+    const fill = (value) =>
+        String(value).replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name] ?? "") : match));
+    const message = {};
+    if (template.emoji) {
+        message.emoji = fill(template.emoji);
+    }
+    if (template.text) {
+        message.text = fill(template.text);
+    }
+    return message;
+}
+
+function renderStatus(account, key, vars = {}) {
+    const message = renderMessage(account, key, vars);
+    if (message?.text) {
+        message.text = message.text.slice(0, STATUS_TEXT_MAX_CHARS);
+    }
+    return message;
+}
+
+function deviceSupports(accountId, feature) {
+    return deviceFeaturesByAccount.get(String(accountId ?? "default"))?.has(feature) ?? false;
+}
+
+function collectMediaUrls(mediaUrl, mediaUrls) {
+    const urls = [mediaUrl, ...(Array.isArray(mediaUrls) ? mediaUrls : [])]
+        .map((value) => String(value ?? "").trim())
+        .filter(Boolean);
+    return [...new Set(urls)];
+}
+
+// Deliver a caption with every media item. Devices that support "images" get one `send` with
+// an `images` array; others get one `send` per image, with the caption on the first. Audio items
+// ride on the caption's send as `audioBase64` (extra audio items follow as their own sends);
+// `speech` is gateway TTS for the caption, used only when the agent sent no audio itself, and
+// `emoji` is shown with every send. Fetch warnings go to `onStatus` (default: straight to the
+// device). Returns one result per media URL, in order.
+async function deliverMedia(target, caption, mediaUrls, { speech = null, emoji, displayText, onStatus } = {}) {
+    const reportStatus =
+        onStatus ?? ((status, extra) => sendAccountStatus(target.accountId, target.baseUrl, target.token, status, extra));
+    const results = [];
+    const fetched = [];
+    const audio = [];
+    const policy = resolveMediaPolicy(target.account);
+    const imageOptions = fitImageOptionsToScreen(resolveImageOptions(target.account), target.accountId);
+    for (const mediaUrl of mediaUrls) {
+        const isAudio = isAudioMediaUrl(mediaUrl);
+        if (isAudio && !deviceAllows(target.accountId, "audio")) {
+            results.push({ mediaUrl, ok: false, code: "unsupported_by_device", error: "device cannot play audio" });
+            continue;
+        }
+        try {
+            if (isAudio) {
+                const item = { mediaUrl, ...(await fetchReplyAudio(mediaUrl, policy)) };
+                countMetric(target.accountId, "mediaFetchBytes", dataUrlByteLength(item.audioBase64));
+                audio.push(item);
+            } else {
+                const source = await fetchMediaAsDataUrl(mediaUrl, policy);
+                countMetric(target.accountId, "mediaFetchBytes", dataUrlByteLength(source));
+                const imageBase64 = await prepareImageForDevice(source, imageOptions);
+                fetched.push({ mediaUrl, imageBase64 });
+            }
+            countMetric(target.accountId, "mediaFetches");
+            results.push({ mediaUrl, ok: true });
+        } catch (err) {
+            countMetric(target.accountId, "mediaFetchErrors");
+            const code = err instanceof MediaFetchError ? err.code : "unknown";
+            const message = err instanceof Error ? err.message : String(err);
+            console.warn(`[whisplay-im] media fetch for ${target.accountId} failed [${code}] ${mediaUrl}: ${message}`);
+            results.push({ mediaUrl, ok: false, code, error: message });
+            const warning = renderStatus(target.account, isAudio ? "audioUnavailable" : "imageUnavailable", {
+                error: message,
+            });
+            if (warning) {
+                await reportStatus("tool_calling", { tool: isAudio ? "fetchAudio" : "fetchImage", ...warning });
+            }
+        }
+    }
+
+    const recordDelivery = (mediaUrl, delivery) => {
+        const result = results.find((entry) => entry.mediaUrl === mediaUrl);
+        result.queued = Boolean(delivery.queued);
+    };
+    const base = emoji ? { emoji } : {};
+    const [leadAudio, ...extraAudio] = audio;
+    // the caption's send also carries the lead audio and any separate display text
+    const captionExtra = {
+        ...base,
+        ...(displayText ? { displayText } : {}),
+        ...(leadAudio ? { audioBase64: leadAudio.audioBase64, audioFormat: leadAudio.audioFormat } : speech),
+    };
+    const recordCaptionDelivery = (delivery) => {
+        if (leadAudio) {
+            recordDelivery(leadAudio.mediaUrl, delivery);
+        }
+    };
+    const deliverExtraAudio = async () => {
+        for (const item of extraAudio) {
+            const delivery = await deliverReply(target, "", undefined, {
+                ...base,
+                audioBase64: item.audioBase64,
+                audioFormat: item.audioFormat,
+            });
+            recordDelivery(item.mediaUrl, delivery);
+        }
+    };
+
+    if (fetched.length === 0) {
+        if (caption || displayText || leadAudio) {
+            recordCaptionDelivery(await deliverReply(target, caption, undefined, captionExtra));
+        }
+        await deliverExtraAudio();
+        return results;
+    }
+
+    if (fetched.length > 1 && deviceSupports(target.accountId, "images")) {
+        const delivery = await deliverReply(target, caption, fetched[0].imageBase64, {
+            ...captionExtra,
+            images: fetched.map((item) => item.imageBase64),
+        });
+        for (const item of fetched) {
+            recordDelivery(item.mediaUrl, delivery);
+        }
+        recordCaptionDelivery(delivery);
+        await deliverExtraAudio();
+        return results;
+    }
+
+    for (let index = 0; index < fetched.length; index += 1) {
+        const item = fetched[index];
+        const delivery = await deliverReply(
+            target,
+            index === 0 ? caption : "",
+            item.imageBase64,
+            index === 0 ? captionExtra : base,
+        );
+        recordDelivery(item.mediaUrl, delivery);
+        if (index === 0) {
+            recordCaptionDelivery(delivery);
+        }
+    }
+    await deliverExtraAudio();
+    return results;
+}
+
+// Audio arrives as `audioBase64` (plain base64 or a data URL) with an optional `audioFormat`
+// (wav, mp3, ogg, opus, webm, m4a, aac, flac or raw 16-bit little-endian "pcm") and, for pcm,
+// `sampleRate` and `channels`.
+function readInboundAudio(source) {
+    const data = typeof source?.audioBase64 === "string" ? source.audioBase64.trim() : "";
+    if (!data) {
+        return null;
+    }
+    const toPositiveInt = (value, fallback) => {
+        const number = Number(value);
+        return Number.isInteger(number) && number > 0 ? number : fallback;
+    };
+    return {
+        data,
+        format: typeof source.audioFormat === "string" ? source.audioFormat.trim().toLowerCase() : "",
+        sampleRate: toPositiveInt(source.sampleRate, INBOUND_AUDIO_DEFAULT_SAMPLE_RATE),
+        channels: toPositiveInt(source.channels, 1),
+    };
+}
+
+function normalizeInboundItems(payload) {
+    if (!payload || typeof payload !== "object") {
+        return [];
+    }
+
+    const topLevelImageBase64 = typeof payload.imageBase64 === "string" ? payload.imageBase64.trim() : "";
+    const results = [];
+    const list = Array.isArray(payload.messages) ? payload.messages : [];
+
+    if (list.length > 0) {
+        for (const item of list) {
             if (!item || typeof item !== "object") {
                 continue;
             }
-            const text =
-                typeof item.content === "string"
-                    ? item.content
-                    : typeof item.message === "string"
-                        ? item.message
-                        : "";
-            if (!text.trim()) {
+            const text =
+                typeof item.content === "string"
+                    ? item.content
+                    : typeof item.message === "string"
+                        ? item.message
+                        : "";
+            const audio = readInboundAudio(item);
+            if (!text.trim() && !audio) {
+                continue;
+            }
+            const itemImageBase64 = typeof item.imageBase64 === "string" ? item.imageBase64.trim() : "";
+            results.push({
+                text,
+                imageBase64: itemImageBase64 || topLevelImageBase64,
+                audio,
+                id:
+                    typeof item.id === "string" || typeof item.id === "number"
+                        ? String(item.id)
+                        : "",
+                timestamp:
+                    typeof item.timestamp === "string" || typeof item.timestamp === "number"
+                        ? String(item.timestamp)
+                        : "",
+                raw: item,
+            });
+        }
+        return results;
+    }
+
+    const single = typeof payload.message === "string" ? payload.message : "";
+    const audio = readInboundAudio(payload);
+    if (single.trim() || audio) {
+        results.push({ text: single, imageBase64: topLevelImageBase64, audio, id: "", timestamp: "", raw: payload });
+    }
+    return results;
+}
+
+function wrapPcmAsWav(pcm, sampleRate, channels) {
+    const header = Buffer.alloc(44);
+    header.write("RIFF", 0, "ascii");
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write("WAVE", 8, "ascii");
+    header.write("fmt ", 12, "ascii");
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * channels * 2, 28);
+    header.writeUInt16LE(channels * 2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write("data", 36, "ascii");
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+}
+
+async function pruneInboundAudio(dir) {
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+        return;
+    }
+    const cutoff = Date.now() - INBOUND_AUDIO_RETENTION_MS;
+    for (const entry of entries) {
+        if (!entry.isFile()) {
+            continue;
+        }
+        const filePath = path.join(dir, entry.name);
+        try {
+            const stat = await fs.stat(filePath);
+            if (stat.mtimeMs < cutoff) {
+                await fs.unlink(filePath);
+            }
+        } catch {
+            // ignore files removed concurrently
+        }
+    }
+}
+
+// Store inbound audio as a file the host's media pipeline can transcribe. Raw PCM is
+// wrapped in a WAV header. Files older than an hour are removed on the next save.
+// Recognize a container or stream from its first bytes; null when nothing matches.
+function sniffAudioFormat(buffer) {
+    const head = buffer.toString("latin1", 0, 4);
+    if (head === "RIFF") {
+        return "wav";
+    }
+    if (head === "OggS") {
+        return "ogg";
+    }
+    if (head === "fLaC") {
+        return "flac";
+    }
+    // an MPEG frame header: 11 sync bits, then a layer other than the reserved 00
+    const frameSync = buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0 && (buffer[1] & 0x06) !== 0;
+    if (head.startsWith("ID3") || frameSync) {
+        return "mp3";
+    }
+    return null;
+}
+
+async function saveInboundAudio(accountId, audio) {
+    let contentType = "";
+    let base64 = audio.data;
+    const dataUrl = audio.data.match(/^data:([^;,]+);base64,(.*)$/s);
+    if (dataUrl) {
+        contentType = dataUrl[1].toLowerCase();
+        base64 = dataUrl[2];
+    }
+    let buffer = Buffer.from(base64, "base64");
+    // without a declared type, only audio no known format claims is raw PCM
+    const format = audio.format || (contentType ? "" : (sniffAudioFormat(buffer) ?? "pcm"));
+    if (format === "pcm") {
+        buffer = wrapPcmAsWav(buffer, audio.sampleRate, audio.channels);
+        contentType = "audio/wav";
+    } else if (!contentType) {
+        contentType = AUDIO_FORMAT_TYPES[format] ?? `audio/${sanitizeSessionPart(format)}`;
+    }
+    const extension =
+        Object.entries(AUDIO_FORMAT_TYPES).find(([, type]) => type === contentType)?.[0] ??
+        (sanitizeSessionPart(contentType.split("/")[1] ?? "") || "bin");
+    const dir = resolvePluginStatePath("media", "inbound");
+    await fs.mkdir(dir, { recursive: true });
+    await pruneInboundAudio(dir);
+    const fileName = `${sanitizeSessionPart(accountId) || "default"}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.${extension}`;
+    const filePath = path.join(dir, fileName);
+    await fs.writeFile(filePath, buffer);
+    return { path: filePath, contentType };
+}
+
+function buildInboundMediaFields(media) {
+    if (media.length === 0) {
+        return {};
+    }
+    const [first] = media;
+    const fields = {
+        ...(first.url ? { MediaUrl: first.url } : {}),
+        ...(first.path ? { MediaPath: first.path } : {}),
+        ...(first.type ? { MediaType: first.type } : {}),
+    };
+    if (media.length > 1) {
+        fields.MediaUrls = media.map((item) => item.url ?? pathToFileURL(item.path).href);
+        fields.MediaPaths = media.map((item) => item.path ?? "");
+        fields.MediaTypes = media.map((item) => item.type ?? "");
+    }
+    return fields;
+}
+
+// Account `access`: `deny` always wins; senders in `allow` get full access and everyone else is
+// handled by `unknownSenders` ("allow" by default, "reject", "pairing" or "readonly").
+// `commandSenders`, when set, limits commands to those ids; otherwise full access implies them.
+function resolveAccessPolicy(account) {
+    const access = account?.access && typeof account.access === "object" ? account.access : {};
+    const ids = (value) => (Array.isArray(value) ? value.map((id) => String(id).trim()).filter(Boolean) : []);
+    return {
+        allow: ids(access.allow),
+        deny: ids(access.deny),
+        unknownSenders: ACCESS_UNKNOWN_SENDER_MODES.has(access.unknownSenders) ? access.unknownSenders : "allow",
+        commandSenders: ids(access.commandSenders),
+    };
+}
+
+// Returns `{ mode, commands }` for one inbound sender. `mode` is "full", "readonly", "reject"
+// or "pairing"; senders approved through the host pairing store count as allowed, and
+// "readonly" senders may talk to the agent but never run commands. An empty `senderId` (the
+// device sent none) is an unknown sender that cannot pair, so "pairing" refuses it outright.
+async function resolveSenderAccess(ctx, senderId) {
+    const policy = resolveAccessPolicy(ctx.account);
+    let mode;
+    if (!senderId) {
+        mode = { allow: "full", readonly: "readonly" }[policy.unknownSenders] ?? "reject";
+    } else if (policy.deny.includes(senderId)) {
+        mode = "reject";
+    } else if (policy.allow.includes(senderId) || policy.unknownSenders === "allow") {
+        mode = "full";
+    } else if (policy.unknownSenders === "pairing") {
+        let paired = [];
+        try {
+            paired = (await getChannelRuntime()?.pairing?.readAllowFromStore?.(CHANNEL_ID)) ?? [];
+        } catch (err) {
+            ctx.log?.warn?.(`[${ctx.accountId}] pairing store unavailable: ${err instanceof Error ? err.message : String(err)}`);
+        }
+        mode = Array.isArray(paired) && paired.map(String).includes(senderId) ? "full" : "pairing";
+    } else {
+        mode = policy.unknownSenders === "readonly" ? "readonly" : "reject";
+    }
+    const commands =
+        mode === "full" && (policy.commandSenders.length === 0 || policy.commandSenders.includes(senderId));
+    return { mode, commands };
+}
+
+// Tell a refused sender why. In "pairing" mode a pairing request is filed with the host, when
+// it has a pairing store, and its code is spoken so the owner can approve it.
+async function refuseSender(ctx, peer, access) {
+    const account = { ...ctx.account, accountId: ctx.accountId };
+    let message = null;
+    if (access.mode === "pairing") {
+        try {
+            const request = await getChannelRuntime()?.pairing?.upsertPairingRequest?.({
+                channel: CHANNEL_ID,
+                id: peer.id,
+                meta: { name: peer.name },
+            });
+            if (request?.code) {
+                message = renderMessage(account, "accessPairing", { code: request.code });
+            }
+        } catch (err) {
+            ctx.log?.warn?.(
+                `[${ctx.accountId}] pairing request for ${peer.id} failed: ${err instanceof Error ? err.message : String(err)}`,
+            );
+        }
+    }
+    await deliverSystemMessage(buildReplyTarget(account), message ?? renderMessage(account, "accessDenied"));
+}
+
+async function deliverSystemMessage(target, message) {
+    if (!message?.text) {
+        return;
+    }
+    const chosen = chooseReplyEmoji(message.text, target.account, "system");
+    await deliverReply(target, chosen.text, undefined, { emoji: message.emoji ?? chosen.emoji });
+}
+
+// Account `commands`: `enabled` (default true) and `phrases`, per locale and command, replacing
+// the built-in phrases for that command.
+function resolveCommandOptions(account) {
+    const commands = account?.commands && typeof account.commands === "object" ? account.commands : {};
+    return {
+        enabled: commands.enabled !== false,
+        phrases: commands.phrases && typeof commands.phrases === "object" ? commands.phrases : {},
+    };
+}
+
+// Returns "reset", "stop", "status" or null.
+function matchDeviceCommand(account, text) {
+    const options = resolveCommandOptions(account);
+    const trimmed = String(text ?? "").trim();
+    if (!options.enabled || !trimmed) {
+        return null;
+    }
+    const slash = DEVICE_COMMAND_SLASH[trimmed.split(/\s+/)[0].toLowerCase()];
+    if (slash) {
+        return slash;
+    }
+    const spoken = normalizeSpokenPhrase(trimmed);
+    const locale = resolveMessageLocale(account);
+    const configured = options.phrases[locale] ?? {};
+    const defaults = DEVICE_COMMAND_PHRASES[locale] ?? DEVICE_COMMAND_PHRASES.en;
+    for (const command of Object.keys(DEVICE_COMMAND_PHRASES.en)) {
+        const phrases = Array.isArray(configured[command]) ? configured[command] : defaults[command];
+        if (phrases.some((phrase) => normalizeSpokenPhrase(phrase) === spoken)) {
+            return command;
+        }
+    }
+    return null;
+}
+
+async function speakAccountStatus(ctx) {
+    const account = { ...ctx.account, accountId: ctx.accountId };
+    const target = buildReplyTarget(account);
+    const health = deviceHealthByBaseUrl.get(target.baseUrl);
+    const message = renderMessage(account, "commandStatus", {
+        connection: health?.state ?? "unknown",
+        failures: health?.consecutiveFailures ?? 0,
+        queued: getOutboundQueueStats(ctx.accountId).queued,
+        firmware: getDeviceInfo(ctx.accountId)?.firmware ?? "unknown",
+    });
+    await deliverSystemMessage(target, message);
+}
+
+function resolveInboundRoute(ctx, senderId, inboundId) {
+    const channelRuntime = getChannelRuntime();
+    if (channelRuntime?.routing?.resolveAgentRoute) {
+        return channelRuntime.routing.resolveAgentRoute({
+            cfg: ctx.cfg,
+            channel: CHANNEL_ID,
+            accountId: ctx.accountId,
+            peer: { kind: "direct", id: senderId || "whisplay" },
+        });
+    }
+    const peerKey = sanitizeSessionPart(senderId || inboundId || "unknown") || "unknown";
+    const accountKey = sanitizeSessionPart(ctx.accountId || "default") || "default";
+    return { sessionKey: `agent:main:${CHANNEL_ID}:${accountKey}:direct:${peerKey}` };
+}
+
+// Abort the answers being dispatched for an account, or only the one in `sessionKey`, and drop
+// their replies still waiting in the outbound queue.
+function cancelActiveRuns(accountId, sessionKey) {
+    let cancelled = 0;
+    for (const [key, run] of activeRunsBySession) {
+        if (run.accountId === accountId && (!sessionKey || key === sessionKey) && !run.controller.signal.aborted) {
+            run.controller.abort();
+            dropQueuedRunReplies(accountId, run.id);
+            cancelled += 1;
+        }
+    }
+    if (cancelled > 0) {
+        countMetric(accountId, "interruptions", cancelled);
+    }
+    return cancelled;
+}
+
+// Account `interrupt` decides what cancels a running answer: "explicit" (default) only a
+// `cancel` from the device, "session" also a new message in the same session, "account" any
+// new message on the device, "off" nothing. Runs as payloads arrive, ahead of their dispatch,
+// and never throws.
+async function interruptForPayload(ctx, payload) {
+    const policy = ctx.account?.interrupt ?? "explicit";
+    if (policy === "off" || !payload || typeof payload !== "object") {
+        return 0;
+    }
+    try {
+        return await cancelRunsForPayload(ctx, payload, policy);
+    } catch (error) {
+        ctx.log?.warn?.(`[${ctx.accountId}] interrupt failed: ${error instanceof Error ? error.message : String(error)}`);
+        return 0;
+    }
+}
+
+async function cancelRunsForPayload(ctx, payload, policy) {
+    let cancelled = 0;
+    if (payload.cancel === true) {
+        const senderId = pickFirstText(payload.senderId, payload.sender);
+        const access = await resolveSenderAccess(ctx, senderId);
+        if (access.mode !== "reject" && access.mode !== "pairing") {
+            cancelled += cancelActiveRuns(ctx.accountId, senderId ? resolveInboundRoute(ctx, senderId).sessionKey : null);
+        }
+    }
+    const { inflight } = getInboundScheduler(ctx);
+    const seen = await loadDedupeStore("inbound", ctx.accountId, ctx.account?.dedupeTtlSec);
+    for (const inbound of normalizeInboundItems(payload)) {
+        const dedupeKey = buildInboundDedupeKey(inbound);
+        if (dedupeKey && (inflight.has(dedupeKey) || seen.has(dedupeKey))) {
+            // a redelivery is not a new message
+            continue;
+        }
+        // a stop command is an explicit cancel; it would otherwise wait behind the answer it stops
+        const stop = matchDeviceCommand(ctx.account, sanitizeInboundText(inbound.text).text) === "stop";
+        if (!stop && policy === "explicit") {
+            continue;
+        }
+        const peer = resolveInboundPeer(inbound);
+        const access = await resolveSenderAccess(ctx, peer.known ? peer.id : "");
+        if (access.mode === "reject" || access.mode === "pairing" || (stop && !access.commands)) {
+            continue;
+        }
+        const sessionKey = policy === "account" && !stop ? null : resolveInboundRoute(ctx, peer.id, inbound.id).sessionKey;
+        cancelled += cancelActiveRuns(ctx.accountId, sessionKey);
+    }
+    if (cancelled > 0) {
+        ctx.log?.info?.(`[${ctx.accountId}] interrupted ${cancelled} running answer(s)`);
+    }
+    return cancelled;
+}
+
+async function emitInboundToGateway(ctx, inbound, access) {
+    const receivedAt = Date.now();
+    const dispatchCompat = await resolveDispatchCompat();
+    const channelRuntime = dispatchCompat.channelRuntime;
+    const peer = resolveInboundPeer(inbound);
+    const senderId = peer.id;
+    const accountLabel = toCleanText(ctx.accountId ?? ctx.account?.accountId ?? ctx.account?.id);
+    const senderName = `${peer.name}(${accountLabel || "unknown"})`;
+    const sanitizedInbound = sanitizeInboundText(inbound.text);
+    if (sanitizedInbound.changed) {
+        console.warn(
+            `[whisplay-im] sanitized inbound text for ${senderName}: ` +
+            `${JSON.stringify(String(inbound.text || "").slice(0, 160))} -> ` +
+            `${JSON.stringify(String(sanitizedInbound.text || "").slice(0, 160))}`,
+        );
+    }
+    const command = matchDeviceCommand(ctx.account, sanitizedInbound.text);
+    if (command && !access.commands) {
+        ctx.log?.warn?.(`[${ctx.accountId}] ${command} command from ${senderId} refused`);
+        await deliverSystemMessage(
+            buildReplyTarget({ ...ctx.account, accountId: ctx.accountId }),
+            renderMessage(ctx.account, "commandNotAuthorized"),
+        );
+        return "command:refused";
+    }
+    if (command === "status") {
+        await speakAccountStatus(ctx);
+        return "command:status";
+    }
+    // reset and stop go to the host as its native commands
+    const commandText = DEVICE_COMMAND_NATIVE[command] ?? sanitizedInbound.text;
+    const inboundMedia = [];
+    if (inbound.imageBase64) {
+        const imageType = inbound.imageBase64.match(/^data:([^;,]+)/)?.[1];
+        inboundMedia.push({ url: inbound.imageBase64, type: imageType });
+    }
+    if (inbound.audio) {
+        const savedAudio = await saveInboundAudio(ctx.accountId, inbound.audio);
+        inboundMedia.push({ path: savedAudio.path, type: savedAudio.contentType });
+    }
+    // audio-only messages get a placeholder body; the host's transcription replaces it
+    const bodyText = command
+        ? commandText
+        : sanitizedInbound.text.trim()
+            ? sanitizedInbound.text
+            : inbound.audio
+                ? INBOUND_AUDIO_PLACEHOLDER
+                : "";
+    const tsNumber = Number(inbound.timestamp);
+    const parsedTimestamp = Number.isFinite(tsNumber) ? tsNumber : Date.now();
+    const route = resolveInboundRoute(ctx, senderId, inbound.id);
+    if (command === "stop") {
+        // cancel the run we are still dispatching for this session, then let the host stop its side
+        cancelActiveRuns(ctx.accountId, route.sessionKey);
+    }
+
+    const inboundCtx = {
+        Body: bodyText,
+        BodyForAgent: bodyText,
+        BodyForCommands: commandText,
+        RawBody: bodyText,
+        CommandBody: commandText,
+        SessionKey: route.sessionKey,
+        AccountId: ctx.accountId,
+        ConversationLabel: senderName || undefined,
+        SenderName: senderName || undefined,
+        Timestamp: parsedTimestamp,
+        From: senderId || undefined,
+        To: senderId || undefined,
+        ChatType: "direct",
+        Provider: CHANNEL_ID,
+        Surface: CHANNEL_ID,
+        OriginatingChannel: CHANNEL_ID,
+        OriginatingTo: senderId || undefined,
+        CommandAuthorized: access.commands,
+        ...buildInboundMediaFields(inboundMedia),
+    };
+
+    const baseUrl = normalizeBaseUrl(ctx.account?.ip);
+    const accountToken = ctx.account?.token;
+    const runId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    const runController = new AbortController();
+    const replyTarget = {
+        ...buildReplyTarget({ ...ctx.account, accountId: ctx.accountId }),
+        run: { id: runId, signal: runController.signal },
+    };
+
+    const statusMachine = createStatusMachine(
+        (status, extra) => sendAccountStatus(ctx.accountId, baseUrl, accountToken, status, extra),
+        { debounceMs: ctx.account?.statusDebounceMs },
+    );
+    const showStatus = (status, key, vars = {}, extra = {}) => {
+        const message = renderStatus(ctx.account, key, vars);
+        return message ? statusMachine.update(status, { ...extra, ...message }) : Promise.resolve();
+    };
+    // A stop command or an interrupt aborts the run: the device is told to stop at once and
+    // replies still arriving or queued for it are dropped.
+    activeRunsBySession.set(route.sessionKey, { accountId: ctx.accountId, id: runId, controller: runController });
+    const runAborted = new Promise((resolve) => {
+        runController.signal.addEventListener(
+            "abort",
+            () => resolve(statusMachine.finish("idle", { ...renderStatus(ctx.account, "idle"), interrupt: true })),
+            { once: true },
+        );
+    });
+    // Send "thinking" status before agent processes the message
+    await showStatus("thinking", "thinking", { text: sanitizedInbound.text });
+
+    let sentCount = 0;
+    const noteReplySent = () => {
+        if (sentCount === 0) {
+            observeMetric(ctx.accountId, "firstReplySeconds", (Date.now() - receivedAt) / 1000);
+        }
+        sentCount += 1;
+    };
+
+    // In streaming mode reply text goes out sentence by sentence, closed by a done marker.
+    // The emoji is chosen from the first segment of each stream and kept for the rest of it, and
+    // each stream gets its own renderers, which remember whether a code block is open.
+    let stream = { streamId: null, emoji: undefined, renderReply: null, renderDisplay: null };
+    const streamer = ctx.account?.streaming && deviceAllows(ctx.accountId, "stream")
+        ? createReplyStreamer(async ({ streamId, text: segment, seq, done }) => {
+            if (runController.signal.aborted) {
+                return false;
+            }
+            let text = segment;
+            if (stream.streamId !== streamId) {
+                const chosen = chooseReplyEmoji(segment, ctx.account);
+                const render = resolveRenderOptions(ctx.account);
+                text = chosen.text;
+                stream = {
+                    streamId,
+                    emoji: chosen.emoji,
+                    renderReply: createReplyRenderer(ctx.account, render.reply),
+                    renderDisplay: render.display ? createReplyRenderer(ctx.account, render.display) : null,
+                };
+            }
+            const displayText = stream.renderDisplay?.(text, { final: done });
+            text = stream.renderReply(text, { final: done });
+            // a sentence that renders to nothing (e.g. code in speech) is not sent, and a done
+            // marker is only needed when something was
+            if (!text && !displayText && (!done || seq === 0)) {
+                return false;
+            }
+            if (text) {
+                await showStatus("answering", "answering");
+            }
+            const speech = await synthesizeReplyAudio(ctx.cfg, ctx.account, text);
+            const result = await deliverReply(replyTarget, text, undefined, {
+                ...speech,
+                emoji: stream.emoji,
+                displayText,
+                streamId,
+                seq,
+                done,
+            });
+            if (text && result.ok && !result.queued) {
+                noteReplySent();
+            }
+        })
+        : null;
+
+    // Build a sequential dispatcher that sends each reply to the whisplay device.
+    const dispatcher = buildWhisplayDispatcher(async (payload) => {
+        if (runController.signal.aborted) {
+            return;
+        }
+        const text = String(payload?.text ?? "").trim();
+        const mediaUrls = collectMediaUrls(payload?.mediaUrl, payload?.mediaUrls);
+        let replyText = text || (mediaUrls.length > 0 ? "" : payloadToReplyText(payload));
+        const emojiKind = payload?.isError ? "error" : "reply";
+        if (streamer) {
+            if (emojiKind === "error") {
+                // error replies bypass the stream so they keep their own emoji, after what was said so far
+                await streamer.flush();
+            } else {
+                // text already arrived through onPartialReply when the host streams partials
+                if (!streamer.hasPartials()) {
+                    streamer.pushBlock(replyText);
+                }
+                replyText = "";
+            }
+        }
+
+        if (mediaUrls.length > 0) {
+            await showStatus(
+                "tool_calling",
+                mediaUrls.length > 1 ? "downloadImages" : "downloadImage",
+                { count: mediaUrls.length },
+                { tool: "fetchImage" },
+            );
+            const chosen = chooseReplyEmoji(replyText, ctx.account, emojiKind);
+            const rendered = renderReplyFields(ctx.account, chosen.text);
+            const speech = mediaUrls.some(isAudioMediaUrl)
+                ? null
+                : await synthesizeReplyAudio(ctx.cfg, ctx.account, rendered.reply);
+            // fetch warnings stay in tool_calling, so "answering" follows the delivery
+            const results = await deliverMedia(replyTarget, rendered.reply, mediaUrls, {
+                speech,
+                emoji: chosen.emoji,
+                displayText: rendered.displayText,
+                onStatus: statusMachine.update,
+            });
+            if (rendered.reply || results.some((result) => result.ok)) {
+                await showStatus("answering", "answering");
+            }
+            if (results.some((result) => result.ok && !result.queued)) {
+                noteReplySent();
+            }
+            return;
+        }
+
+        const chosen = chooseReplyEmoji(replyText, ctx.account, emojiKind);
+        const rendered = renderReplyFields(ctx.account, chosen.text);
+        if (!rendered.reply && !rendered.displayText) {
+            return;
+        }
+
+        // Send "answering" status before delivering the reply
+        await showStatus("answering", "answering");
+        const speech = await synthesizeReplyAudio(ctx.cfg, ctx.account, rendered.reply);
+        const result = await deliverReply(replyTarget, rendered.reply, undefined, {
+            ...speech,
+            emoji: chosen.emoji,
+            displayText: rendered.displayText,
+        });
+        if (result.ok && !result.queued) {
+            noteReplySent();
+        }
+    });
+
+    const replyOptions = {
+        onToolStart: ({ name, phase }) => {
+            const tool = name || "tool";
+            showStatus("tool_calling", phase === "end" ? "toolEnd" : "toolStart", { tool }, { tool });
+        },
+        ...(streamer
+            ? {
+                onPartialReply: (payload) => {
+                    if (!runController.signal.aborted) {
+                        streamer.pushPartial(payload?.text);
+                    }
+                },
+            }
+            : {}),
+        abortSignal: runController.signal,
+    };
+    const onSettled = async () => {
+        if (streamer) {
+            await streamer.end();
+        }
+    };
+
+    try {
+        const dispatchRun = dispatchCompat.kind === "runtime"
+            ? channelRuntime.reply.withReplyDispatcher({
+                dispatcher,
+                onSettled,
+                run: () =>
+                    channelRuntime.reply.dispatchReplyFromConfig({
+                        ctx: inboundCtx,
+                        cfg: ctx.cfg,
+                        dispatcher,
+                        replyOptions,
+                    }),
+            })
+            : dispatchCompat.dispatchFn({
+                cfg: ctx.cfg,
+                ctxPayload: inboundCtx,
+                dispatcher,
+                onSettled,
+                replyOptions,
+            });
+        // once interrupted, the next message need not wait for the host to wind this run down
+        await Promise.race([dispatchRun, runAborted]);
+    } catch (err) {
+        await statusMachine.finish(
+            "error",
+            renderStatus(ctx.account, "error", { error: err instanceof Error ? err.message : String(err) }),
+        );
+        throw err;
+    } finally {
+        if (activeRunsBySession.get(route.sessionKey)?.controller === runController) {
+            activeRunsBySession.delete(route.sessionKey);
+        }
+        // aborted or finished, the device always comes back to idle
+        await statusMachine.finish("idle", renderStatus(ctx.account, "idle"));
+    }
+
+    if (sentCount > 0) {
+        ctx.setStatus({
+            ...ctx.getStatus(),
+            accountId: ctx.accountId,
+            running: true,
+            configured: true,
+            lastOutboundAt: Date.now(),
+            lastError: null,
+        });
+    }
+
+    return dispatchCompat.source;
+}
+
+// Channel-level `pairingLog`: the directory the gateway logs to, a regular expression for
+// the log file names, and how often new lines are read.
+function resolvePairingLogOptions(cfg) {
+    const section = cfg?.channels?.[CHANNEL_ID]?.pairingLog ?? {};
+    let pattern = GATEWAY_LOG_FILE_PATTERN;
+    if (typeof section.pattern === "string" && section.pattern.trim()) {
+        try {
+            pattern = new RegExp(section.pattern.trim());
+        } catch (err) {
+            console.warn(
+                `[whisplay-im] invalid pairingLog.pattern, using the default: ${err instanceof Error ? err.message : String(err)}`,
+            );
+        }
+    }
+    return {
+        dir: typeof section.dir === "string" && section.dir.trim() ? section.dir.trim() : GATEWAY_LOG_DIR,
+        pattern,
+        intervalMs:
+            typeof section.intervalSec === "number" && section.intervalSec > 0
+                ? section.intervalSec * 1000
+                : PAIRING_WATCH_INTERVAL_MS,
+    };
+}
+
+// Reads only what was appended since the last call, per matching log file. Files present on
+// the first call are read from their current end; files that appear later (rotation) are read
+// from the start, and a file that shrank or was replaced is read again from the start.
+function createPairingLogTailer(options, notBeforeMs) {
+    const files = new Map();
+    let primed = false;
+    return async () => {
+        let entries;
+        try {
+            entries = await fs.readdir(options.dir, { withFileTypes: true });
+        } catch {
+            // no log directory yet: files that show up later are new and read from the start
+            primed = true;
+            return [];
+        }
+        const found = [];
+        for (const entry of entries) {
+            if (!entry.isFile() || !options.pattern.test(entry.name)) {
+                continue;
+            }
+            const filePath = path.join(options.dir, entry.name);
+            try {
+                found.push({ filePath, stat: await fs.stat(filePath) });
+            } catch {
+                // rotated away between readdir and stat
+            }
+        }
+        found.sort((left, right) => left.stat.mtimeMs - right.stat.mtimeMs);
+
+        let text = "";
+        for (const { filePath, stat } of found) {
+            let state = files.get(filePath);
+            if (!state || state.ino !== stat.ino || stat.size < state.offset) {
+                state = { ino: stat.ino, offset: !state && !primed ? stat.size : 0, partial: Buffer.alloc(0) };
+                files.set(filePath, state);
+            }
+            if (stat.size <= state.offset) {
+                continue;
+            }
+            const length = Math.min(stat.size - state.offset, PAIRING_LOG_READ_LIMIT_BYTES);
+            const chunk = await readFileRange(filePath, state.offset, length);
+            state.offset += chunk.length;
+            // only complete lines are parsed; the rest waits for the next read
+            const buffer = Buffer.concat([state.partial, chunk]);
+            const lineEnd = buffer.lastIndexOf(0x0a);
+            state.partial = lineEnd >= 0 ? buffer.subarray(lineEnd + 1) : buffer;
+            if (state.partial.length > PAIRING_LOG_READ_LIMIT_BYTES) {
+                state.partial = Buffer.alloc(0);
+            }
+            if (lineEnd >= 0) {
+                text += buffer.subarray(0, lineEnd + 1).toString("utf8");
+            }
+        }
+        const present = new Set(found.map((item) => item.filePath));
+        for (const filePath of files.keys()) {
+            if (!present.has(filePath)) {
+                files.delete(filePath);
+            }
+        }
+        primed = true;
+        return extractPairingAlerts(text, { notBeforeMs });
+    };
+}
+
+// Hosts that publish pairing requests as events (`pairing.onRequest` or
+// `devices.onPairingRequest`, returning an unsubscribe function) make log scraping unnecessary.
+function subscribeRuntimePairingEvents(onAlert) {
+    const source = pluginRuntime?.pairing ?? pluginRuntime?.devices;
+    const subscribe = source?.onRequest ?? source?.onPairingRequest;
+    if (typeof subscribe !== "function") {
+        return null;
+    }
+    const unsubscribe = subscribe.call(source, (event) => {
+        const requestId = String(event?.requestId ?? event?.id ?? "").trim();
+        const setupCode = String(event?.setupCode ?? event?.code ?? "").trim();
+        if (requestId) {
+            onAlert({ dedupeKey: `request:${requestId}`, template: "pairingRequest", vars: { requestId } });
+        } else if (setupCode) {
+            onAlert({ dedupeKey: `setup:${setupCode}`, template: "setupCode", vars: { setupCode } });
+        }
+    });
+    return typeof unsubscribe === "function" ? unsubscribe : () => {};
+}
+
+// Relay a subscriber's pending hints. While its device is offline they stay pending.
+async function relayPendingPairingHints(subscriber) {
+    if (subscriber.relaying || subscriber.pending.length === 0 || deviceBreakerWaitMs(subscriber.target.baseUrl) > 0) {
+        return;
+    }
+    const { accountId, target, log } = subscriber;
+    subscriber.relaying = (async () => {
+        const seen = await loadDedupeStore("pairing", accountId, target.account?.dedupeTtlSec);
+        while (subscriber.pending.length > 0) {
+            const alert = subscriber.pending.shift();
+            if (seen.has(alert.dedupeKey)) {
+                continue;
+            }
+            const approval = target.account?.pairingApproval;
+            const byVoice = alert.template === "pairingRequest" && approval?.enabled;
+            const message = byVoice
+                ? renderMessage(target.account, "pairingRequestVoice", {
+                      ...alert.vars,
+                      code: pairingSpokenCode(alert.vars.requestId),
+                      timeoutSec: approval.timeoutSec,
+                  })
+                : renderMessage(target.account, alert.template, alert.vars);
+            if (message?.text) {
+                const chosen = chooseReplyEmoji(message.text, target.account, "system");
+                await deliverReply(target, chosen.text, undefined, { emoji: message.emoji ?? chosen.emoji });
+                if (byVoice) {
+                    // the latest announced request is the one a spoken answer refers to
+                    pairingApprovalByAccount.set(accountId, {
+                        requestId: alert.vars.requestId,
+                        expiresAt: Date.now() + approval.timeoutSec * 1000,
+                    });
+                }
+            }
+            seen.remember(alert.dedupeKey);
+            log?.info?.(`[${accountId}] relayed gateway pairing hint: ${alert.dedupeKey}`);
+        }
+    })()
+        .catch((err) => {
+            log?.warn?.(`[${accountId}] pairing hint relay failed: ${err instanceof Error ? err.message : String(err)}`);
+        })
+        .finally(() => {
+            subscriber.relaying = null;
+        });
+    await subscriber.relaying;
+}
+
+function startPairingHintWatcher(cfg) {
+    const options = resolvePairingLogOptions(cfg);
+    const watcher = { subscribers: new Set(), source: "log", timer: null, unsubscribeRuntime: null };
+    const publish = (alerts) => {
+        for (const subscriber of watcher.subscribers) {
+            subscriber.pending.push(...alerts);
+            subscriber.pending.splice(0, Math.max(0, subscriber.pending.length - PAIRING_PENDING_LIMIT));
+        }
+    };
+    const relayAll = () => Promise.all([...watcher.subscribers].map(relayPendingPairingHints));
+
+    watcher.unsubscribeRuntime = subscribeRuntimePairingEvents((alert) => {
+        publish([alert]);
+        relayAll();
+    });
+    const readLog = watcher.unsubscribeRuntime ? null : createPairingLogTailer(options, Date.now());
+    if (watcher.unsubscribeRuntime) {
+        watcher.source = "runtime";
+    }
+
+    let ticking = false;
+    watcher.timer = setInterval(async () => {
+        if (ticking) {
+            return;
+        }
+        ticking = true;
+        try {
+            if (readLog) {
+                const alerts = await readLog();
+                if (alerts.length > 0) {
+                    publish(alerts);
+                }
+            }
+            // also retries hints held back while a device was offline
+            await relayAll();
+        } catch (err) {
+            console.warn(`[whisplay-im] pairing hint watcher failed: ${err instanceof Error ? err.message : String(err)}`);
+        } finally {
+            ticking = false;
+        }
+    }, options.intervalMs);
+    watcher.timer.unref?.();
+    if (readLog) {
+        // take the current end of each log file as the starting point, before the first tick reads
+        ticking = true;
+        readLog()
+            .catch(() => {})
+            .finally(() => {
+                ticking = false;
+            });
+    }
+    return watcher;
+}
+
+// One watcher serves every account that relays pairing hints: each hint is read once and
+// handed to all subscribers. Returns the unsubscribe function.
+function subscribePairingHints(cfg, { accountId, target, log }) {
+    if (!pairingHintWatcher) {
+        pairingHintWatcher = startPairingHintWatcher(cfg);
+        log?.info?.(`[${accountId}] pairing hints from ${pairingHintWatcher.source}`);
+    }
+    const watcher = pairingHintWatcher;
+    const subscriber = { accountId, target, log, pending: [], relaying: null };
+    watcher.subscribers.add(subscriber);
+    return () => {
+        watcher.subscribers.delete(subscriber);
+        if (watcher.subscribers.size > 0) {
+            return;
+        }
+        clearInterval(watcher.timer);
+        watcher.unsubscribeRuntime?.();
+        if (pairingHintWatcher === watcher) {
+            pairingHintWatcher = null;
+        }
+    };
+}
+
+// Account `pairingApproval`: answer announced pairing requests by voice. `speakers` lists the
+// sender ids who may answer and is required: without it voice approval stays off.
+// `confirmPhrases` / `denyPhrases` replace the locale's built-in verbs.
+function resolvePairingApproval(account) {
+    const approval = account?.pairingApproval && typeof account.pairingApproval === "object" ? account.pairingApproval : {};
+    const list = (value) =>
+        Array.isArray(value) ? value.map((item) => String(item ?? "").trim()).filter(Boolean) : [];
+    return {
+        requested: approval.enabled === true,
+        enabled: approval.enabled === true && list(approval.speakers).length > 0,
+        timeoutSec:
+            typeof approval.timeoutSec === "number" && approval.timeoutSec > 0
+                ? approval.timeoutSec
+                : PAIRING_APPROVAL_DEFAULT_TIMEOUT_SEC,
+        speakers: list(approval.speakers),
+        confirmPhrases: list(approval.confirmPhrases),
+        denyPhrases: list(approval.denyPhrases),
+    };
+}
+
+function normalizeSpokenPhrase(text) {
+    return String(text ?? "").toLowerCase().replace(/[\s\p{P}\p{S}]+/gu, "");
+}
+
+// Four digits derived from the request id, short enough to say and for ASR to get right.
+function pairingSpokenCode(requestId) {
+    const digest = createHash("sha256").update(String(requestId ?? "")).digest();
+    return String(digest.readUInt32BE(0) % 10000).padStart(4, "0");
+}
+
+// Returns "approve", "reject" or null for an utterance answering `requestId`.
+function matchPairingAnswer(account, text, requestId) {
+    const spoken = normalizeSpokenPhrase(text);
+    if (!spoken) {
+        return null;
+    }
+    const approval = account.pairingApproval;
+    const phrases = PAIRING_APPROVAL_PHRASES[resolveMessageLocale(account)] ?? PAIRING_APPROVAL_PHRASES.en;
+    const code = pairingSpokenCode(requestId);
+    const subjects = phrases.subject.map(normalizeSpokenPhrase);
+    const endings = [...subjects, code, ...subjects.map((subject) => subject + code)];
+    const matches = (list) =>
+        list.some((phrase) => endings.some((ending) => normalizeSpokenPhrase(phrase) + ending === spoken));
+    if (matches(approval.confirmPhrases.length > 0 ? approval.confirmPhrases : phrases.confirm)) {
+        return "approve";
+    }
+    if (matches(approval.denyPhrases.length > 0 ? approval.denyPhrases : phrases.deny)) {
+        return "reject";
+    }
+    return null;
+}
+
+// Uses the host's pairing API (`pairing` or `devices` with `approve`/`reject`) when there is
+// one, else the `openclaw devices approve|reject <requestId>` CLI.
+async function decidePairingRequest(requestId, decision) {
+    const source = pluginRuntime?.pairing ?? pluginRuntime?.devices;
+    const method = source?.[decision];
+    if (typeof method === "function") {
+        await method.call(source, requestId);
+        return;
+    }
+    await execFileAsync("openclaw", ["devices", decision, requestId], { timeout: PAIRING_APPROVAL_CLI_TIMEOUT_MS });
+}
+
+// If the message answers the pending pairing request for this account, decide it and tell
+// the device. Returns true when the message was consumed this way.
+async function handlePairingVoiceAnswer(ctx, inbound) {
+    const account = ctx.account;
+    const pending = pairingApprovalByAccount.get(ctx.accountId);
+    if (!account?.pairingApproval?.enabled || !pending) {
+        return false;
+    }
+    if (Date.now() > pending.expiresAt) {
+        pairingApprovalByAccount.delete(ctx.accountId);
+        return false;
+    }
+    const decision = matchPairingAnswer(account, inbound.text, pending.requestId);
+    if (!decision) {
+        return false;
+    }
+
+    const target = buildReplyTarget({ ...account, accountId: ctx.accountId });
+    const peer = resolveInboundPeer(inbound);
+    const speaker = peer.known ? peer.id : "";
+    const { speakers } = account.pairingApproval;
+    let message;
+    if (!speakers.includes(speaker)) {
+        ctx.log?.warn?.(`[${ctx.accountId}] pairing answer from unauthorized speaker ${speaker || "(unknown)"} ignored`);
+        message = renderMessage(account, "pairingNotAuthorized", { requestId: pending.requestId });
+    } else {
+        pairingApprovalByAccount.delete(ctx.accountId);
+        try {
+            await decidePairingRequest(pending.requestId, decision);
+            ctx.log?.info?.(
+                `[${ctx.accountId}] pairing request ${pending.requestId} ${decision === "approve" ? "approved" : "rejected"} by ${speaker}`,
+            );
+            message = renderMessage(account, decision === "approve" ? "pairingApproved" : "pairingDenied", {
+                requestId: pending.requestId,
+            });
+        } catch (err) {
+            const error = err instanceof Error ? err.message : String(err);
+            ctx.log?.warn?.(`[${ctx.accountId}] pairing request ${pending.requestId} ${decision} failed: ${error}`);
+            message = renderMessage(account, "pairingDecisionFailed", { requestId: pending.requestId, error });
+        }
+    }
+    await deliverSystemMessage(target, message);
+    return true;
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function waitForAbort(signal) {
+    if (!signal) {
+        return new Promise(() => {});
+    }
+    if (signal.aborted) {
+        return Promise.resolve();
+    }
+    return new Promise((resolve) => signal.addEventListener("abort", () => resolve(), { once: true }));
+}
+
+// Per-account inbound work: one serialized queue per session key and at most `concurrency`
+// sessions dispatching at once. A session gives up its slot after each message so a busy
+// conversation cannot starve the others. `inflight` maps dedupe keys to the outcome of
+// messages still being handled, so a redelivery joins the original instead of running twice,
+// `fragments` holds utterance fragments per session while their coalescing window is open, and
+// `failures` counts failed dispatch attempts per dedupe key. The scheduler outlives account
+// restarts, so `configure` applies new limits to it.
+function createInboundScheduler(limits) {
+    let { concurrency, maxPending } = limits;
+    const sessions = new Map();
+    const ready = [];
+    let settleWaiters = [];
+    let running = 0;
+    let pending = 0;
+
+    const pump = () => {
+        while (running < concurrency && ready.length > 0) {
+            const session = sessions.get(ready.shift());
+            const job = session.jobs.shift();
+            running += 1;
+            session.busy = true;
+            job.run()
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    running -= 1;
+                    pending -= 1;
+                    session.busy = false;
+                    if (session.jobs.length > 0) {
+                        ready.push(session.key);
+                    } else {
+                        sessions.delete(session.key);
+                    }
+                    const waiters = settleWaiters;
+                    settleWaiters = [];
+                    waiters.forEach((wake) => wake());
+                    pump();
+                });
+        }
+    };
+
+    const fragments = new Map();
+    const countBuffered = () => [...fragments.values()].reduce((sum, buffer) => sum + buffer.parts.length, 0);
+
+    return {
+        inflight: new Map(),
+        fragments,
+        failures: new Map(),
+        submit: (sessionKey, run) =>
+            new Promise((resolve, reject) => {
+                let session = sessions.get(sessionKey);
+                if (!session) {
+                    session = { key: sessionKey, jobs: [], busy: false };
+                    sessions.set(sessionKey, session);
+                }
+                session.jobs.push({ run, resolve, reject });
+                pending += 1;
+                if (!session.busy && session.jobs.length === 1) {
+                    ready.push(sessionKey);
+                }
+                pump();
+            }),
+        configure: (next) => {
+            ({ concurrency, maxPending } = next);
+            pump();
+        },
+        // resolves the next time any message finishes
+        waitForSettle: () => new Promise((resolve) => settleWaiters.push(resolve)),
+        isSaturated: () => pending >= maxPending,
+        stats: () => ({
+            running,
+            pending,
+            buffered: countBuffered(),
+            sessions: sessions.size,
+            concurrency,
+            maxPending,
+            saturated: pending >= maxPending,
+        }),
+    };
+}
+
+function getInboundScheduler(ctx) {
+    const accountId = String(ctx.accountId ?? "default");
+    let scheduler = inboundSchedulerByAccount.get(accountId);
+    if (!scheduler) {
+        scheduler = createInboundScheduler({
+            concurrency: ctx.account?.dispatchConcurrency ?? INBOUND_DEFAULT_CONCURRENCY,
+            maxPending: ctx.account?.inboundQueueMaxSize ?? INBOUND_QUEUE_DEFAULT_MAX_SIZE,
+        });
+        inboundSchedulerByAccount.set(accountId, scheduler);
+    }
+    return scheduler;
+}
+
+function getInboundQueueStats(accountId) {
+    return (
+        inboundSchedulerByAccount.get(String(accountId ?? "default"))?.stats() ?? {
+            running: 0,
+            pending: 0,
+            buffered: 0,
+            sessions: 0,
+            saturated: false,
+        }
+    );
+}
+
+function joinUtterances(texts) {
+    return texts
+        .map((text) => String(text ?? "").trim())
+        .filter(Boolean)
+        .reduce((joined, text) => {
+            if (!joined) {
+                return text;
+            }
+            // Chinese and Japanese fragments join without a space
+            return CJK_CHAR_PATTERN.test(joined.at(-1)) && CJK_CHAR_PATTERN.test(text[0]) ? joined + text : `${joined} ${text}`;
+        }, "");
+}
+
+// One inbound made of utterance fragments: the first fragment's id, sender and timestamp
+// (when the user started speaking) with the texts joined.
+function mergeInboundFragments(inbounds) {
+    if (inbounds.length === 1) {
+        return inbounds[0];
+    }
+    return { ...inbounds[0], text: joinUtterances(inbounds.map((inbound) => inbound.text)) };
+}
+
+// Only plain text is merged; media and device commands always make their own turn, and nothing
+// is merged while a spoken pairing answer is awaited so the answer arrives on its own.
+function isCoalescibleInbound(ctx, inbound) {
+    const awaitingPairingAnswer =
+        ctx.account?.pairingApproval?.enabled && (pairingApprovalByAccount.get(ctx.accountId)?.expiresAt ?? 0) > Date.now();
+    return (
+        ctx.account?.coalesceMs > 0 &&
+        !awaitingPairingAnswer &&
+        !inbound.audio &&
+        !inbound.imageBase64 &&
+        Boolean(inbound.text.trim()) &&
+        !matchDeviceCommand(ctx.account, sanitizeInboundText(inbound.text).text)
+    );
+}
+
+// Dedupe, authorize and dispatch one turn: a message, or the fragments of one utterance.
+// `parts` are `{ inbound, dedupeKey }`. Runs as a job in the turn's session queue.
+async function handleInboundTurn(ctx, parts) {
+    const seen = await loadDedupeStore("inbound", ctx.accountId, ctx.account?.dedupeTtlSec);
+    const unseen = parts.filter(({ dedupeKey }) => {
+        if (dedupeKey && seen.has(dedupeKey)) {
+            countMetric(ctx.accountId, "inboundDuplicates");
+            ctx.log?.warn?.(
+                `[${ctx.accountId}] inbound dropped as duplicate: ${dedupeKey}`,
+            );
+            return false;
+        }
+        return true;
+    });
+    if (unseen.length === 0) {
+        return;
+    }
+    if (unseen.length > 1) {
+        ctx.log?.info?.(`[${ctx.accountId}] coalesced ${unseen.length} utterance fragments into one turn`);
+    }
+    const inbound = mergeInboundFragments(unseen.map((part) => part.inbound));
+    const peer = resolveInboundPeer(inbound);
+    const access = await resolveSenderAccess(ctx, peer.known ? peer.id : "");
+    if (access.mode === "reject" || access.mode === "pairing") {
+        countMetric(ctx.accountId, "inboundRejected");
+        ctx.log?.warn?.(`[${ctx.accountId}] inbound from ${peer.id} refused (${access.mode})`);
+        await refuseSender(ctx, peer, access);
+    } else if (!(access.mode === "full" && (await handlePairingVoiceAnswer(ctx, inbound)))) {
+        let methodName;
+        const dispatchStartedAt = Date.now();
+        try {
+            methodName = await emitInboundToGateway(ctx, inbound, access);
+        } catch (error) {
+            countMetric(ctx.accountId, "dispatchErrors");
+            if (!abandonAfterRepeatedFailures(ctx, unseen, error)) {
+                throw error;
+            }
+        } finally {
+            observeMetric(ctx.accountId, "dispatchSeconds", (Date.now() - dispatchStartedAt) / 1000);
+        }
+        if (methodName) {
+            ctx.log?.debug?.(
+                `[${ctx.accountId}] inbound relayed via ${methodName}: ${inbound.text.slice(0, 120)}`,
+            );
+        }
+    }
+    const { failures } = getInboundScheduler(ctx);
+    for (const { dedupeKey } of unseen) {
+        if (dedupeKey) {
+            failures.delete(dedupeKey);
+            seen.remember(dedupeKey);
+        }
+    }
+}
+
+// A message whose dispatch always fails would be redelivered forever. Count the attempts per
+// dedupe key; on the INBOUND_MAX_DISPATCH_ATTEMPTS-th failure the turn is logged and given up,
+// which lets it be acknowledged. Returns true when the turn was given up.
+function abandonAfterRepeatedFailures(ctx, parts, error) {
+    const { failures } = getInboundScheduler(ctx);
+    const keys = parts.map((part) => part.dedupeKey).filter(Boolean);
+    if (keys.length === 0) {
+        return false;
+    }
+    const attempts = Math.max(...keys.map((key) => failures.get(key) ?? 0)) + 1;
+    if (attempts < INBOUND_MAX_DISPATCH_ATTEMPTS) {
+        for (const key of keys) {
+            failures.delete(key);
+            failures.set(key, attempts);
+        }
+        // forget the oldest keys, e.g. of messages older firmware never redelivers
+        for (const key of failures.keys()) {
+            if (failures.size <= INBOUND_FAILURE_TRACK_LIMIT) {
+                break;
+            }
+            failures.delete(key);
+        }
+        return false;
+    }
+    countMetric(ctx.accountId, "inboundAbandoned");
+    ctx.log?.warn?.(
+        `[${ctx.accountId}] inbound ${keys.join(", ")} dropped after ${attempts} failed dispatch attempts: ${
+            error instanceof Error ? error.message : String(error)
+        }`,
+    );
+    return true;
+}
+
+// Resolves to `{ error }` once the turn has been handled.
+function submitInboundTurn(ctx, scheduler, sessionKey, parts) {
+    return scheduler.submit(sessionKey, () => handleInboundTurn(ctx, parts)).then(
+        () => ({ error: null }),
+        (error) => ({ error }),
+    );
+}
+
+// Account `coalesceMs`: hold a fragment until that long passes without another one from the
+// same session, then dispatch them together. Each fragment reopens the window, but a turn is
+// never held for more than INBOUND_COALESCE_MAX_WINDOWS windows.
+function bufferInboundFragment(ctx, scheduler, sessionKey, part) {
+    const windowMs = ctx.account.coalesceMs;
+    let buffer = scheduler.fragments.get(sessionKey);
+    if (!buffer) {
+        buffer = { parts: [], openedAt: Date.now(), timer: null, settle: null, outcome: null };
+        buffer.outcome = new Promise((resolve) => {
+            buffer.settle = resolve;
+        });
+        scheduler.fragments.set(sessionKey, buffer);
+    }
+    buffer.parts.push(part);
+    clearTimeout(buffer.timer);
+    const delayMs = Math.min(windowMs, buffer.openedAt + windowMs * INBOUND_COALESCE_MAX_WINDOWS - Date.now());
+    buffer.timer = setTimeout(() => flushInboundFragments(ctx, scheduler, sessionKey), Math.max(0, delayMs));
+    return buffer.outcome;
+}
+
+function flushInboundFragments(ctx, scheduler, sessionKey) {
+    const buffer = scheduler.fragments.get(sessionKey);
+    if (!buffer) {
+        return;
+    }
+    scheduler.fragments.delete(sessionKey);
+    clearTimeout(buffer.timer);
+    buffer.settle(submitInboundTurn(ctx, scheduler, sessionKey, buffer.parts));
+}
+
+// When the account stops, fragments still waiting for their window are not dispatched: their
+// turns settle as failed, so they are not acknowledged and the device delivers them again.
+function discardInboundFragments(ctx) {
+    const scheduler = getInboundScheduler(ctx);
+    for (const [sessionKey, buffer] of scheduler.fragments) {
+        scheduler.fragments.delete(sessionKey);
+        clearTimeout(buffer.timer);
+        buffer.settle({ error: new Error("account stopped before the utterance was complete") });
+    }
+}
+
+// Normalize one poll/push payload and queue its messages, synchronously and in order, on their
+// sessions. Returns `received`, `fresh` (messages not already being handled) and `settled`, a
+// promise for `{ received, handledIds, error }` once every message is done: `handledIds` lists
+// the message ids that are safe to acknowledge (duplicates included) and `error` is the first
+// dispatch failure, if any.
+function scheduleInboundPayload(ctx, payload) {
+    noteDeviceFeatures(ctx.accountId, payload?.features);
+    noteDeviceLocale(ctx.accountId, payload?.locale);
+    const inbounds = normalizeInboundItems(payload);
+    if (inbounds.length === 0) {
+        return { received: 0, fresh: 0, settled: Promise.resolve({ received: 0, handledIds: [], error: null }) };
+    }
+
+    ctx.log?.warn?.(
+        `[${ctx.accountId}] received ${inbounds.length} inbound message(s)`,
+    );
+    const scheduler = getInboundScheduler(ctx);
+    let fresh = 0;
+    const outcomes = inbounds.map((inbound) => {
+        countMetric(ctx.accountId, "inboundMessages");
+        const dedupeKey = buildInboundDedupeKey(inbound);
+        const running = dedupeKey ? scheduler.inflight.get(dedupeKey) : null;
+        if (running) {
+            countMetric(ctx.accountId, "inboundDuplicates");
+            return running;
+        }
+        fresh += 1;
+        const peer = resolveInboundPeer(inbound);
+        const sessionKey = resolveInboundRoute(ctx, peer.id, inbound.id).sessionKey;
+        const part = { inbound, dedupeKey };
+        let outcome;
+        if (isCoalescibleInbound(ctx, inbound)) {
+            outcome = bufferInboundFragment(ctx, scheduler, sessionKey, part);
+        } else {
+            // anything else closes the session's window first, so turns keep their order
+            flushInboundFragments(ctx, scheduler, sessionKey);
+            outcome = submitInboundTurn(ctx, scheduler, sessionKey, [part]);
+        }
+        if (dedupeKey) {
+            scheduler.inflight.set(dedupeKey, outcome);
+            outcome.then(() => scheduler.inflight.delete(dedupeKey));
+        }
+        return outcome;
+    });
+
+    const settled = Promise.all(outcomes).then((results) => {
+        const handledIds = inbounds.filter((inbound, index) => inbound.id && !results[index].error).map((inbound) => inbound.id);
+        const error = results.find((result) => result.error)?.error ?? null;
+        if (!error) {
+            ctx.setStatus({
+                ...ctx.getStatus(),
+                accountId: ctx.accountId,
+                running: true,
+                configured: true,
+                lastInboundAt: Date.now(),
+                lastError: null,
+            });
+        }
+        return { received: inbounds.length, handledIds, error };
+    });
+    return { received: inbounds.length, fresh, settled };
+}
+
+// Interrupt and schedule payloads in arrival order, for transports where the device hands
+// over messages without waiting for them to be dispatched. `drain` waits for all of them.
+function createInboundQueue(ctx, label) {
+    let arrivals = Promise.resolve();
+    const processing = new Set();
+    const reportError = (error) => {
+        ctx.log?.warn?.(`[${ctx.accountId}] ${label} inbound error: ${error instanceof Error ? error.message : String(error)}`);
+        recordInboundError(ctx, error);
+    };
+    return {
+        enqueue: (payload, onProcessed) => {
+            // interrupts take effect on arrival, ahead of the work they interrupt
+            arrivals = arrivals
+                .then(() => interruptForPayload(ctx, payload))
+                .then(() => {
+                    const done = scheduleInboundPayload(ctx, payload)
+                        .settled.then((result) => {
+                            onProcessed?.(result);
+                            if (result.error) {
+                                throw result.error;
+                            }
+                        })
+                        .catch(reportError)
+                        .finally(() => processing.delete(done));
+                    processing.add(done);
+                })
+                // one bad payload must not leave the chain rejected for every later arrival
+                .catch(reportError);
+        },
+        isSaturated: () => getInboundScheduler(ctx).isSaturated(),
+        drain: async () => {
+            await arrivals;
+            await Promise.all(processing);
+        },
+    };
+}
+
+function recordInboundError(ctx, error) {
+    ctx.setStatus({
+        ...ctx.getStatus(),
+        accountId: ctx.accountId,
+        running: true,
+        configured: true,
+        lastError: error instanceof Error ? error.message : String(error),
+    });
+}
+
+function readPollCursor(payload) {
+    const cursor = payload?.cursor;
+    return typeof cursor === "string" || typeof cursor === "number" ? String(cursor) : "";
+}
+
+async function acknowledgePoll(baseUrl, token, body) {
+    const response = await fetchDevice(baseUrl, `${baseUrl}/whisplay-im/ack`, {
+        method: "POST",
+        headers: buildHeaders(token),
+        body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+        const respBody = await response.text().catch(() => "");
+        throw new Error(`ack failed: HTTP ${response.status}${respBody ? ` ${respBody}` : ""}`);
+    }
+}
+
+// Long-poll the device. Polls advertise `ack=1`; firmware that answers with a `cursor` keeps
+// messages until they are acknowledged, so a failed dispatch is redelivered instead of lost.
+// Older firmware ignores the parameter and messages count as consumed once returned.
+// Polling does not wait for dispatch: cancels and other speakers get through while an answer
+// runs. Acks go out in poll order once each batch settles, so the cursor only moves forward.
+async function runPollLoop(ctx, account, baseUrl, isAborted) {
+    const scheduler = getInboundScheduler(ctx);
+    let ackedCursor = "";
+    let acks = Promise.resolve();
+    let retryAt = 0;
+    let redeliveryPauseMs = INBOUND_REDELIVERY_PAUSE_MS;
+    const settleOrAbort = () => Promise.race([scheduler.waitForSettle(), waitForAbort(ctx.abortSignal)]);
+    const acknowledgeBatch = async (cursor, { received, handledIds, error }) => {
+        if (cursor && received > 0 && (!error || handledIds.length > 0)) {
+            // only move the cursor past the batch when every message in it was handled
+            const ackBody = error ? { ids: handledIds } : { cursor, ids: handledIds };
+            try {
+                await acknowledgePoll(baseUrl, account.token, ackBody);
+                if (!error) {
+                    ackedCursor = cursor;
+                }
+            } catch (ackError) {
+                ctx.log?.warn?.(
+                    `[${ctx.accountId}] ${ackError instanceof Error ? ackError.message : String(ackError)}; messages will be redelivered`,
+                );
+            }
+        }
+        if (error) {
+            ctx.log?.warn?.(
+                `[${ctx.accountId}] poll dispatch error: ${error instanceof Error ? error.message : String(error)}`,
+            );
+            recordInboundError(ctx, error);
+            // the failed message comes back with the next poll; give it a moment
+            retryAt = Date.now() + INBOUND_RETRY_DELAY_MS;
+        }
+    };
+
+    while (!isAborted()) {
+        let polled = false;
+        try {
+            if (scheduler.isSaturated()) {
+                // backpressure: leave messages on the device until the queue drains a little
+                await settleOrAbort();
+                continue;
+            }
+            if (retryAt > Date.now()) {
+                await Promise.race([sleep(retryAt - Date.now()), waitForAbort(ctx.abortSignal)]);
                 continue;
             }
-            const itemImageBase64 = typeof item.imageBase64 === "string" ? item.imageBase64.trim() : "";
-            results.push({
-                text,
-                imageBase64: itemImageBase64 || topLevelImageBase64,
-                id:
-                    typeof item.id === "string" || typeof item.id === "number"
-                        ? String(item.id)
-                        : "",
-                timestamp:
-                    typeof item.timestamp === "string" || typeof item.timestamp === "number"
-                        ? String(item.timestamp)
-                        : "",
-                raw: item,
-            });
+            const waitSec =
+                typeof account.waitSec === "number" && Number.isFinite(account.waitSec)
+                    ? account.waitSec
+                    : 60;
+            const requestInit = {
+                method: "GET",
+                headers: buildHeaders(account.token),
+            };
+            if (ctx.abortSignal) {
+                requestInit.signal = ctx.abortSignal;
+            }
+            const query = new URLSearchParams({ waitSec: String(waitSec), ack: "1" });
+            if (ackedCursor) {
+                query.set("cursor", ackedCursor);
+            }
+            const response = await fetchDevice(baseUrl, `${baseUrl}/whisplay-im/poll?${query}`, requestInit);
+            if (!response.ok) {
+                const body = await response.text().catch(() => "");
+                throw new Error(`poll failed: HTTP ${response.status}${body ? ` ${body}` : ""}`);
+            }
+            polled = true;
+            countMetric(ctx.accountId, "polls");
+            resumeOutboundQueue(buildReplyTarget(account));
+            const payload = await response.json().catch(() => ({}));
+            const pollTick = nextPollTick(ctx.accountId);
+            const cursor = readPollCursor(payload);
+            await interruptForPayload(ctx, payload);
+            const { received, fresh, settled } = scheduleInboundPayload(ctx, payload);
+            acks = acks.then(() => settled).then((result) => acknowledgeBatch(cursor, result));
+            if (received === 0) {
+                ctx.log?.warn?.(
+                    `[${ctx.accountId}] poll active: no inbound messages yet (ticks=${pollTick})`,
+                );
+            }
+            if (received > 0 && fresh === 0) {
+                // only redeliveries of messages still being handled: pause rather than spin, but
+                // keep polling so cancels and utterance fragments behind them still get through.
+                // The pause doubles up to the long-poll wait while a long answer keeps running.
+                await Promise.race([settleOrAbort(), sleep(redeliveryPauseMs)]);
+                redeliveryPauseMs = Math.min(redeliveryPauseMs * 2, Math.max(INBOUND_REDELIVERY_PAUSE_MS, waitSec * 1000));
+            } else {
+                redeliveryPauseMs = INBOUND_REDELIVERY_PAUSE_MS;
+            }
+        } catch (error) {
+            if (isAborted()) {
+                break;
+            }
+            ctx.log?.warn?.(
+                `[${ctx.accountId}] poll loop error: ${error instanceof Error ? error.message : String(error)}`,
+            );
+            if (!polled) {
+                countMetric(ctx.accountId, "pollErrors");
+            }
+            recordInboundError(ctx, error);
+            // device failures back off with the breaker
+            const health = getDeviceHealth(baseUrl);
+            const delayMs = health.consecutiveFailures > 0 ? Math.max(0, health.retryAt - Date.now()) : INBOUND_RETRY_DELAY_MS;
+            await Promise.race([sleep(delayMs), waitForAbort(ctx.abortSignal)]);
         }
-        return results;
     }
-
-    const single = typeof payload.message === "string" ? payload.message : "";
-    if (single.trim()) {
-        results.push({ text: single, imageBase64: topLevelImageBase64, id: "", timestamp: "", raw: payload });
-    }
-    return results;
+    // let answers already under way finish and be acknowledged
+    await acks;
 }
 
-async function emitInboundToGateway(ctx, inbound) {
-    const dispatchCompat = await resolveDispatchCompat();
-    const channelRuntime = dispatchCompat.channelRuntime;
-    const peer = resolveInboundPeer(inbound);
-    const senderId = peer.id;
-    const accountLabel = toCleanText(ctx.accountId ?? ctx.account?.accountId ?? ctx.account?.id);
-    const senderName = `${peer.name}(${accountLabel || "unknown"})`;
-    const sanitizedInbound = sanitizeInboundText(inbound.text);
-    if (sanitizedInbound.changed) {
-        console.warn(
-            `[whisplay-im] sanitized inbound text for ${senderName}: ` +
-            `${JSON.stringify(String(inbound.text || "").slice(0, 160))} -> ` +
-            `${JSON.stringify(String(sanitizedInbound.text || "").slice(0, 160))}`,
-        );
+function isAuthorizedPushRequest(req, token) {
+    const expected = String(token ?? "").trim();
+    if (!expected) {
+        return true;
     }
-    const tsNumber = Number(inbound.timestamp);
-    const parsedTimestamp = Number.isFinite(tsNumber) ? tsNumber : Date.now();
-    const peerKey = sanitizeSessionPart(senderId || inbound.id || "unknown") || "unknown";
-    const accountKey = sanitizeSessionPart(ctx.accountId || "default") || "default";
-    const fallbackSessionKey = `agent:main:${CHANNEL_ID}:${accountKey}:direct:${peerKey}`;
-    const route = channelRuntime?.routing?.resolveAgentRoute
-        ? channelRuntime.routing.resolveAgentRoute({
-            cfg: ctx.cfg,
-            channel: CHANNEL_ID,
-            accountId: ctx.accountId,
-            peer: { kind: "direct", id: senderId || "whisplay" },
-        })
-        : { sessionKey: fallbackSessionKey };
-
-    const inboundCtx = {
-        Body: sanitizedInbound.text,
-        BodyForAgent: sanitizedInbound.text,
-        BodyForCommands: sanitizedInbound.text,
-        RawBody: sanitizedInbound.text,
-        CommandBody: sanitizedInbound.text,
-        SessionKey: route.sessionKey,
-        AccountId: ctx.accountId,
-        ConversationLabel: senderName || undefined,
-        SenderName: senderName || undefined,
-        Timestamp: parsedTimestamp,
-        From: senderId || undefined,
-        To: senderId || undefined,
-        ChatType: "direct",
-        Provider: CHANNEL_ID,
-        Surface: CHANNEL_ID,
-        OriginatingChannel: CHANNEL_ID,
-        OriginatingTo: senderId || undefined,
-        CommandAuthorized: true,
-        ...(inbound.imageBase64 ? { MediaUrl: inbound.imageBase64 } : {}),
-    };
+    const header = String(req.headers.authorization ?? "");
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+        return false;
+    }
+    // hash both sides so the comparison takes the same time whatever the length
+    const digest = (value) => createHash("sha256").update(value).digest();
+    return timingSafeEqual(digest(match[1].trim()), digest(expected));
+}
 
-    const baseUrl = normalizeBaseUrl(ctx.account?.ip);
-    const accountToken = ctx.account?.token;
+function readRequestBody(req, limitBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let total = 0;
+        req.on("data", (chunk) => {
+            total += chunk.length;
+            if (total > limitBytes) {
+                reject(Object.assign(new Error("request body too large"), { statusCode: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+        req.on("error", reject);
+    });
+}
 
-    // Send "thinking" status before agent processes the message
-    await sendStatus(baseUrl, accountToken, "thinking", { emoji: "🤔", text: sanitizedInbound.text.slice(0, 80) });
+function writeJson(res, statusCode, body) {
+    res.writeHead(statusCode, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+}
 
-    let sentCount = 0;
+// Serve POST /whisplay-im/inbound so the device can push messages instead of being long-polled.
+// Payloads are acknowledged immediately and queued on their sessions in arrival order.
+async function runPushInbound(ctx, account) {
+    const inboundQueue = createInboundQueue(ctx, "push");
+    const server = http.createServer(async (req, res) => {
+        const pathname = new URL(req.url ?? "/", "http://localhost").pathname;
+        if (pathname !== PUSH_INBOUND_PATH) {
+            writeJson(res, 404, { ok: false, error: "not found" });
+            return;
+        }
+        if (req.method !== "POST") {
+            res.setHeader("Allow", "POST");
+            writeJson(res, 405, { ok: false, error: "method not allowed" });
+            return;
+        }
+        if (!isAuthorizedPushRequest(req, account.token)) {
+            writeJson(res, 401, { ok: false, error: "unauthorized" });
+            return;
+        }
 
-    // Build a sequential dispatcher that sends each reply to the whisplay device.
-    const dispatcher = buildWhisplayDispatcher(async (payload) => {
-        const text = String(payload?.text ?? "").trim();
-        const mediaUrl = String(payload?.mediaUrl ?? "").trim();
-        const mediaUrls = Array.isArray(payload?.mediaUrls)
-            ? payload.mediaUrls.map((v) => String(v ?? "").trim()).filter(Boolean)
-            : [];
-        const firstMediaUrl = mediaUrl || (mediaUrls.length > 0 ? mediaUrls[0] : "");
-        const replyText = text || (firstMediaUrl ? "" : payloadToReplyText(payload));
-
-        // Convert media URL to base64 if present
-        let imageBase64 = "";
-        if (firstMediaUrl) {
-            await sendStatus(baseUrl, accountToken, "tool_calling", {
-                emoji: "🖼️",
-                tool: "fetchImage",
-                text: "Downloading image...",
+        let payload;
+        try {
+            const rawBody = await readRequestBody(req, PUSH_BODY_LIMIT_BYTES);
+            payload = rawBody.trim() ? JSON.parse(rawBody) : {};
+        } catch (error) {
+            writeJson(res, error?.statusCode ?? 400, {
+                ok: false,
+                error: error instanceof Error ? error.message : String(error),
             });
-            imageBase64 = await fetchImageAsBase64(firstMediaUrl);
+            return;
         }
 
-        if (!replyText && !imageBase64) {
+        const accepted = normalizeInboundItems(payload).length;
+        if (accepted > 0 && inboundQueue.isSaturated()) {
+            // backpressure: the device keeps the messages and pushes them again later
+            res.setHeader("Retry-After", "1");
+            writeJson(res, 429, { ok: false, error: "busy" });
+            await interruptForPayload(ctx, payload);
             return;
         }
-
-        // Send "answering" status before delivering the reply
-        if (replyText) {
-            await sendStatus(baseUrl, accountToken, "answering");
+        writeJson(res, 202, { ok: true, accepted });
+        // a device that pushes is reachable
+        noteDeviceSuccess(normalizeBaseUrl(account.ip));
+        if (accepted === 0) {
+            await interruptForPayload(ctx, payload);
+            return;
         }
-        await sendReply(baseUrl, accountToken, replyText, imageBase64 || undefined);
-        sentCount += 1;
-    });
 
-    const replyOptions = {
-        onToolStart: ({ name, phase }) => {
-            if (phase === "end") {
-                sendStatus(baseUrl, accountToken, "tool_calling", {
-                    emoji: "✅",
-                    tool: name || "tool",
-                    text: `${name || "tool"} done`,
-                }).catch(() => {});
-            } else {
-                sendStatus(baseUrl, accountToken, "tool_calling", {
-                    emoji: "🔧",
-                    tool: name || "tool",
-                    text: `Invoking ${name || "tool"}...`,
-                }).catch(() => {});
-            }
-        },
-    };
+        inboundQueue.enqueue(payload);
+    });
 
-    if (dispatchCompat.kind === "runtime") {
-        await channelRuntime.reply.withReplyDispatcher({
-            dispatcher,
-            onSettled: async () => {
-                await sendStatus(baseUrl, accountToken, "idle");
-            },
-            run: () =>
-                channelRuntime.reply.dispatchReplyFromConfig({
-                    ctx: inboundCtx,
-                    cfg: ctx.cfg,
-                    dispatcher,
-                    replyOptions,
-                }),
-        });
-    } else {
-        await dispatchCompat.dispatchFn({
-            cfg: ctx.cfg,
-            ctxPayload: inboundCtx,
-            dispatcher,
-            onSettled: async () => {
-                await sendStatus(baseUrl, accountToken, "idle");
-            },
-            replyOptions,
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(account.pushPort, account.pushHost, () => {
+            server.off("error", reject);
+            resolve();
         });
-    }
+    });
+    ctx.log?.warn?.(
+        `[${ctx.accountId}] push inbound listening on http://${account.pushHost}:${account.pushPort}${PUSH_INBOUND_PATH}`,
+    );
 
-    if (sentCount > 0) {
-        ctx.setStatus({
-            ...ctx.getStatus(),
-            accountId: ctx.accountId,
-            running: true,
-            configured: true,
-            mode: "poll",
-            lastOutboundAt: Date.now(),
-            lastError: null,
+    try {
+        await waitForAbort(ctx.abortSignal);
+    } finally {
+        await new Promise((resolve) => {
+            server.close(() => resolve());
+            server.closeAllConnections?.();
         });
+        await inboundQueue.drain();
     }
+}
 
-    return dispatchCompat.source;
+function buildDeviceSocketUrl(baseUrl) {
+    const url = new URL(`${baseUrl}${DEVICE_SOCKET_PATH}`);
+    url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+    return url.href;
 }
 
-async function relayGatewayPairingHints({ accountId, baseUrl, token, log, notBeforeMs }) {
-    const logFile = await findLatestGatewayLogFile();
-    if (!logFile) {
-        return;
+function parseSocketFrame(data) {
+    if (typeof data !== "string") {
+        return null;
     }
-
-    const tail = await readTailText(logFile);
-    if (!tail) {
-        return;
+    try {
+        const frame = JSON.parse(data);
+        return frame && typeof frame === "object" && typeof frame.type === "string" ? frame : null;
+    } catch {
+        return null;
     }
+}
 
-    const alerts = extractPairingAlerts(tail, { notBeforeMs });
-    if (alerts.length === 0) {
-        return;
-    }
+// Run one WebSocket connection until it closes. While open, replies and status updates for this
+// device go over the socket and inbound "message" frames are dispatched like poll payloads.
+function runDeviceSocketSession(ctx, account, baseUrl) {
+    return new Promise((resolve) => {
+        const headers = {};
+        const token = String(account.token ?? "").trim();
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
 
-    const seen = getPairingSeenSet(accountId);
-    for (const alert of alerts) {
-        if (seen.has(alert.dedupeKey)) {
-            continue;
+        let socket;
+        try {
+            socket = new WebSocket(buildDeviceSocketUrl(baseUrl), { headers });
+        } catch (error) {
+            ctx.log?.warn?.(
+                `[${ctx.accountId}] websocket connect failed: ${error instanceof Error ? error.message : String(error)}`,
+            );
+            resolve({ opened: false });
+            return;
         }
-        await sendReply(baseUrl, token, alert.message);
-        rememberPairingKey(seen, alert.dedupeKey);
-        log?.info?.(`[${accountId}] relayed gateway pairing hint: ${alert.dedupeKey}`);
-    }
+
+        const inboundQueue = createInboundQueue(ctx, "websocket");
+        const pendingAcks = new Map();
+        let opened = false;
+        let nextFrameId = 0;
+        let lastFrameAt = Date.now();
+        let pingTimer = null;
+
+        const send = (frame) => {
+            if (socket.readyState !== WebSocket.OPEN) {
+                return false;
+            }
+            socket.send(JSON.stringify(frame));
+            return true;
+        };
+        const link = {
+            send,
+            request: (frame) =>
+                new Promise((resolveAck, rejectAck) => {
+                    nextFrameId += 1;
+                    const id = `${ctx.accountId}-${nextFrameId}`;
+                    const timer = setTimeout(() => {
+                        pendingAcks.delete(id);
+                        rejectAck(new Error(`no ack for ${frame.type} frame ${id}`));
+                    }, DEVICE_SOCKET_ACK_TIMEOUT_MS);
+                    pendingAcks.set(id, { resolve: resolveAck, reject: rejectAck, timer });
+                    if (!send({ ...frame, id })) {
+                        clearTimeout(timer);
+                        pendingAcks.delete(id);
+                        rejectAck(new Error("websocket is not open"));
+                    }
+                }),
+        };
+        const onAbort = () => socket.close(1000, "gateway stopping");
+        ctx.abortSignal?.addEventListener("abort", onAbort, { once: true });
+
+        socket.addEventListener("open", () => {
+            opened = true;
+            noteDeviceSuccess(baseUrl);
+            lastFrameAt = Date.now();
+            deviceSocketsByBaseUrl.set(baseUrl, link);
+            resumeOutboundQueue(buildReplyTarget(account));
+            pingTimer = setInterval(() => {
+                if (Date.now() - lastFrameAt > DEVICE_SOCKET_IDLE_TIMEOUT_MS) {
+                    ctx.log?.warn?.(`[${ctx.accountId}] websocket idle, reconnecting`);
+                    socket.close(4000, "idle timeout");
+                    return;
+                }
+                send({ type: "ping" });
+            }, DEVICE_SOCKET_PING_INTERVAL_MS);
+            ctx.log?.warn?.(`[${ctx.accountId}] websocket connected: ${buildDeviceSocketUrl(baseUrl)}`);
+            ctx.setStatus({
+                ...ctx.getStatus(),
+                accountId: ctx.accountId,
+                transport: "ws",
+                lastError: null,
+            });
+        });
+
+        socket.addEventListener("message", (event) => {
+            lastFrameAt = Date.now();
+            const frame = parseSocketFrame(event.data);
+            if (!frame) {
+                ctx.log?.warn?.(`[${ctx.accountId}] websocket frame ignored: not a JSON object with a type`);
+                return;
+            }
+            if (frame.type === "ack") {
+                const pending = pendingAcks.get(String(frame.id ?? ""));
+                if (pending) {
+                    clearTimeout(pending.timer);
+                    pendingAcks.delete(String(frame.id));
+                    if (frame.ok === false) {
+                        pending.reject(new Error(`device rejected frame: ${frame.error ?? "unknown error"}`));
+                    } else {
+                        pending.resolve();
+                    }
+                }
+                return;
+            }
+            if (frame.type === "ping") {
+                send({ type: "pong" });
+                return;
+            }
+            if (frame.type === "cancel") {
+                interruptForPayload(ctx, { ...frame, cancel: true });
+                return;
+            }
+            if (frame.type === "message") {
+                inboundQueue.enqueue(frame, ({ handledIds }) => {
+                    if (handledIds.length > 0) {
+                        send({ type: "ack", ids: handledIds });
+                    }
+                });
+            }
+        });
+
+        let finished = false;
+        const finish = (code) => {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            clearInterval(pingTimer);
+            ctx.abortSignal?.removeEventListener("abort", onAbort);
+            if (deviceSocketsByBaseUrl.get(baseUrl) === link) {
+                deviceSocketsByBaseUrl.delete(baseUrl);
+            }
+            for (const pending of pendingAcks.values()) {
+                clearTimeout(pending.timer);
+                pending.reject(new Error("websocket closed"));
+            }
+            pendingAcks.clear();
+            if (opened) {
+                ctx.log?.warn?.(`[${ctx.accountId}] websocket closed (code=${code})`);
+                ctx.setStatus({ ...ctx.getStatus(), accountId: ctx.accountId, transport: "http" });
+            }
+            inboundQueue.drain().then(() => resolve({ opened }));
+        };
+
+        // Some clients report a refused connection with "error" only, never "close".
+        socket.addEventListener("error", () => {
+            if (!opened) {
+                finish(undefined);
+            }
+        });
+        socket.addEventListener("close", (event) => finish(event.code));
+    });
 }
 
-function sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+// Keep a WebSocket to the device open, reconnecting with backoff. Returns false without
+// serving anything when the runtime has no WebSocket client or the device never accepts
+// the upgrade, so the caller can fall back to HTTP poll/push.
+async function runDeviceSocket(ctx, account, baseUrl, isAborted) {
+    if (typeof globalThis.WebSocket !== "function") {
+        ctx.log?.warn?.(`[${ctx.accountId}] websocket transport unavailable in this runtime; using HTTP`);
+        return false;
+    }
+
+    let everOpened = false;
+    let failedAttempts = 0;
+    while (!isAborted()) {
+        const { opened } = await runDeviceSocketSession(ctx, account, baseUrl);
+        if (isAborted()) {
+            break;
+        }
+        let delayMs = DEVICE_BACKOFF_BASE_MS;
+        if (opened) {
+            everOpened = true;
+        } else {
+            failedAttempts += 1;
+            delayMs = Math.max(0, noteDeviceFailure(baseUrl).retryAt - Date.now());
+            if (!everOpened && failedAttempts >= DEVICE_SOCKET_FALLBACK_ATTEMPTS) {
+                ctx.log?.warn?.(
+                    `[${ctx.accountId}] websocket not accepted after ${failedAttempts} attempts; falling back to HTTP`,
+                );
+                return false;
+            }
+        }
+        await Promise.race([sleep(delayMs), waitForAbort(ctx.abortSignal)]);
+    }
+    return true;
 }
 
 const whisplayImChannel = {
@@ -876,9 +4751,142 @@ const whisplayImChannel = {
                             ip: { type: "string" },
                             token: { type: "string" },
                             waitSec: { type: "number" },
+                            mode: { type: "string", enum: ["poll", "push"] },
+                            transport: { type: "string", enum: ["http", "ws"] },
+                            streaming: { type: "boolean" },
+                            statusDebounceMs: { type: "number", minimum: 0 },
+                            tts: { type: "string", enum: ["off", "gateway"] },
+                            pairingHints: { type: "boolean" },
+                            pairingApproval: {
+                                type: "object",
+                                additionalProperties: false,
+                                if: { properties: { enabled: { const: true } }, required: ["enabled"] },
+                                then: { required: ["speakers"] },
+                                properties: {
+                                    enabled: { type: "boolean" },
+                                    timeoutSec: { type: "number", exclusiveMinimum: 0 },
+                                    speakers: { type: "array", items: { type: "string" }, minItems: 1 },
+                                    confirmPhrases: { type: "array", items: { type: "string" } },
+                                    denyPhrases: { type: "array", items: { type: "string" } },
+                                },
+                            },
+                            interrupt: { type: "string", enum: ["off", "explicit", "session", "account"] },
+                            access: {
+                                type: "object",
+                                additionalProperties: false,
+                                properties: {
+                                    allow: { type: "array", items: { type: "string" } },
+                                    deny: { type: "array", items: { type: "string" } },
+                                    unknownSenders: { type: "string", enum: ["allow", "reject", "pairing", "readonly"] },
+                                    commandSenders: { type: "array", items: { type: "string" } },
+                                },
+                            },
+                            commands: {
+                                type: "object",
+                                additionalProperties: false,
+                                properties: {
+                                    enabled: { type: "boolean" },
+                                    phrases: {
+                                        type: "object",
+                                        additionalProperties: {
+                                            type: "object",
+                                            additionalProperties: false,
+                                            properties: {
+                                                reset: { type: "array", items: { type: "string" } },
+                                                stop: { type: "array", items: { type: "string" } },
+                                                status: { type: "array", items: { type: "string" } },
+                                            },
+                                        },
+                                    },
+                                },
+                            },
+                            locale: { type: "string" },
+                            templates: {
+                                type: "object",
+                                additionalProperties: {
+                                    type: "object",
+                                    additionalProperties: false,
+                                    properties: {
+                                        emoji: { type: "string" },
+                                        text: { type: "string" },
+                                        enabled: { type: "boolean" },
+                                    },
+                                },
+                            },
+                            emoji: {
+                                type: "object",
+                                additionalProperties: false,
+                                properties: {
+                                    reply: { type: "string" },
+                                    error: { type: "string" },
+                                    system: { type: "string" },
+                                    keywords: { type: "object", additionalProperties: { type: "string" } },
+                                },
+                            },
+                            queueMaxAgeSec: { type: "number", exclusiveMinimum: 0 },
+                            queueMaxSize: { type: "integer", minimum: 1 },
+                            dispatchConcurrency: { type: "integer", minimum: 1 },
+                            inboundQueueMaxSize: { type: "integer", minimum: 1 },
+                            coalesceMs: { type: "integer", minimum: 0 },
+                            render: {
+                                type: "object",
+                                additionalProperties: false,
+                                properties: {
+                                    reply: { type: "string", enum: ["raw", "speech", "screen"] },
+                                    display: { type: "string", enum: ["raw", "speech", "screen"] },
+                                },
+                            },
+                            dedupeTtlSec: { type: "number", exclusiveMinimum: 0 },
+                            media: {
+                                type: "object",
+                                additionalProperties: false,
+                                properties: {
+                                    maxBytes: { type: "number", exclusiveMinimum: 0 },
+                                    timeoutMs: { type: "number", exclusiveMinimum: 0 },
+                                    maxRedirects: { type: "integer", minimum: 0 },
+                                    allowedContentTypes: { type: "array", items: { type: "string" } },
+                                    blockPrivateNetwork: { type: "boolean" },
+                                    localRoot: { type: "string" },
+                                },
+                            },
+                            image: {
+                                type: "object",
+                                additionalProperties: false,
+                                properties: {
+                                    enabled: { type: "boolean" },
+                                    maxWidth: { type: "integer", minimum: 1 },
+                                    maxHeight: { type: "integer", minimum: 1 },
+                                    format: { type: "string", enum: ["jpeg", "png"] },
+                                    quality: { type: "integer", minimum: 1, maximum: 100 },
+                                    maxBytes: { type: "number", exclusiveMinimum: 0 },
+                                },
+                            },
+                            pushHost: { type: "string" },
+                            pushPort: { type: "integer", minimum: 1, maximum: 65535 },
                         },
                     },
-                }
+                },
+                pairingLog: {
+                    type: "object",
+                    additionalProperties: false,
+                    properties: {
+                        dir: { type: "string" },
+                        pattern: { type: "string" },
+                        intervalSec: { type: "number", exclusiveMinimum: 0 },
+                    },
+                },
+                metrics: {
+                    type: "object",
+                    additionalProperties: false,
+                    properties: {
+                        enabled: { type: "boolean" },
+                        host: { type: "string" },
+                        port: { type: "integer", minimum: 1, maximum: 65535 },
+                        path: { type: "string" },
+                        file: { type: "string" },
+                        intervalSec: { type: "number", exclusiveMinimum: 0 },
+                    },
+                },
             }
         }
     },
@@ -896,23 +4904,7 @@ const whisplayImChannel = {
                 ? "default"
                 : (Object.keys(accounts)[0] ?? "default");
         },
-        resolveAccount: (cfg, accountId) => {
-            const effective = resolveAccountSection(cfg, accountId);
-            return {
-                accountId: effective.accountId,
-                enabled: effective?.enabled !== false,
-                ip: typeof effective?.ip === "string" ? effective.ip : "",
-                token: typeof effective?.token === "string" ? effective.token : "",
-                waitSec:
-                    typeof effective?.waitSec === "number" && Number.isFinite(effective.waitSec)
-                        ? effective.waitSec
-                        : 60,
-                configured:
-                    effective?.hasAccountSection === true &&
-                    typeof effective?.ip === "string" &&
-                    effective.ip.trim().length > 0,
-            };
-        },
+        resolveAccount: (cfg, accountId) => resolveAccountConfig(cfg, accountId),
         isConfigured: (account) => Boolean(account?.configured),
         describeAccount: (account) => ({
             accountId: account?.accountId ?? "default",
@@ -921,6 +4913,10 @@ const whisplayImChannel = {
             ip: account?.ip ? "[set]" : "[missing]",
             token: account?.token ? "[set]" : "[empty]",
             waitSec: account?.waitSec ?? 60,
+            mode: account?.mode ?? "poll",
+            transport: account?.transport ?? "http",
+            streaming: Boolean(account?.streaming),
+            tts: account?.tts ?? "off",
         }),
     },
     messaging: {
@@ -939,35 +4935,54 @@ const whisplayImChannel = {
     outbound: {
         deliveryMode: "direct",
         sendText: async ({ cfg, accountId, text }) => {
-            const account = resolveAccountSection(cfg, accountId);
-            const baseUrl = normalizeBaseUrl(account.ip);
-            if (!baseUrl) {
+            const account = resolveAccountConfig(cfg, accountId);
+            const target = buildReplyTarget(account);
+            if (!target.baseUrl) {
                 throw new Error(buildAccountConfigError(account.accountId ?? accountId ?? "default", account));
             }
 
-            return sendReply(baseUrl, account.token, text, undefined);
+            const chosen = chooseReplyEmoji(text, account);
+            const rendered = renderReplyFields(account, chosen.text);
+            const speech = await synthesizeReplyAudio(cfg, account, rendered.reply);
+            return deliverReply(target, rendered.reply, undefined, {
+                ...speech,
+                emoji: chosen.emoji,
+                displayText: rendered.displayText,
+            });
         },
         sendMedia: async ({ cfg, accountId, text, mediaUrl, mediaUrls }) => {
             const caption = String(text ?? "").trim();
-            const media = String(mediaUrl ?? "").trim();
-            const mediaList = Array.isArray(mediaUrls)
-                ? mediaUrls.map((v) => String(v ?? "").trim()).filter(Boolean)
-                : [];
-            const firstMediaUrl = media || (mediaList.length > 0 ? mediaList[0] : "");
+            const mediaList = collectMediaUrls(mediaUrl, mediaUrls);
 
-            const account = resolveAccountSection(cfg, accountId);
-            const baseUrl = normalizeBaseUrl(account.ip);
-            if (!baseUrl) {
+            const account = resolveAccountConfig(cfg, accountId);
+            const target = buildReplyTarget(account);
+            if (!target.baseUrl) {
                 throw new Error(buildAccountConfigError(account.accountId ?? accountId ?? "default", account));
             }
 
-            // Convert media URL to base64 for transmission
-            let imageBase64 = "";
-            if (firstMediaUrl) {
-                imageBase64 = await fetchImageAsBase64(firstMediaUrl);
+            const chosen = chooseReplyEmoji(caption, account);
+            const rendered = renderReplyFields(account, chosen.text);
+            const speech = mediaList.some(isAudioMediaUrl)
+                ? null
+                : await synthesizeReplyAudio(cfg, account, rendered.reply);
+            if (mediaList.length === 0) {
+                return deliverReply(target, rendered.reply, undefined, {
+                    ...speech,
+                    emoji: chosen.emoji,
+                    displayText: rendered.displayText,
+                });
             }
-
-            return sendReply(baseUrl, account.token, caption, imageBase64 || undefined);
+            const results = await deliverMedia(target, rendered.reply, mediaList, {
+                speech,
+                emoji: chosen.emoji,
+                displayText: rendered.displayText,
+            });
+            return {
+                ok: results.every((result) => result.ok),
+                channel: CHANNEL_ID,
+                queued: results.some((result) => result.queued),
+                results,
+            };
         },
     },
     status: {
@@ -981,29 +4996,69 @@ const whisplayImChannel = {
             lastOutboundAt: null,
             lastError: null,
             mode: "poll",
+            transport: "http",
+        },
+        buildAccountSnapshot: ({ account, runtime }) => {
+            const outboundQueue = getOutboundQueueStats(account?.accountId);
+            const inboundQueue = getInboundQueueStats(account?.accountId);
+            const health = deviceHealthByBaseUrl.get(normalizeBaseUrl(account?.ip));
+            return {
+                accountId: account?.accountId ?? "default",
+                enabled: account?.enabled !== false,
+                configured: Boolean(account?.configured),
+                running: runtime?.running ?? false,
+                lastStartAt: runtime?.lastStartAt ?? null,
+                lastStopAt: runtime?.lastStopAt ?? null,
+                lastInboundAt: runtime?.lastInboundAt ?? null,
+                lastOutboundAt: runtime?.lastOutboundAt ?? null,
+                lastError: runtime?.lastError ?? null,
+                mode: runtime?.mode ?? account?.mode ?? "poll",
+                transport: runtime?.transport ?? "http",
+                outboundQueued: outboundQueue.queued,
+                outboundDeadLettered: outboundQueue.deadLettered,
+                inboundRunning: inboundQueue.running,
+                inboundPending: inboundQueue.pending,
+                inboundBuffered: inboundQueue.buffered,
+                inboundSessions: inboundQueue.sessions,
+                inboundSaturated: inboundQueue.saturated,
+                device: getDeviceInfo(account?.accountId),
+                connection: health?.state ?? "unknown",
+                lastConnectedAt: health?.lastConnectedAt ?? null,
+                consecutiveFailures: health?.consecutiveFailures ?? 0,
+                metrics: snapshotMetrics(account?.accountId),
+            };
         },
-        buildAccountSnapshot: ({ account, runtime }) => ({
-            accountId: account?.accountId ?? "default",
-            enabled: account?.enabled !== false,
-            configured: Boolean(account?.configured),
-            running: runtime?.running ?? false,
-            lastStartAt: runtime?.lastStartAt ?? null,
-            lastStopAt: runtime?.lastStopAt ?? null,
-            lastInboundAt: runtime?.lastInboundAt ?? null,
-            lastOutboundAt: runtime?.lastOutboundAt ?? null,
-            lastError: runtime?.lastError ?? null,
-            mode: "poll",
-        }),
     },
     gateway: {
         startAccount: async (ctx) => {
-            const account = resolveAccountSection(ctx.cfg, ctx.accountId);
+            const account = resolveAccountConfig(ctx.cfg, ctx.accountId);
             const baseUrl = normalizeBaseUrl(account.ip);
             if (!baseUrl) {
                 throw new Error(buildAccountConfigError(ctx.accountId, account));
             }
+            if (account.pushConfigError) {
+                throw new Error(account.pushConfigError);
+            }
+            if (account.pairingApproval.requested && !account.pairingApproval.enabled) {
+                ctx.log?.warn?.(`[${ctx.accountId}] pairingApproval.enabled needs pairingApproval.speakers; voice approval is off`);
+            }
 
             const isAborted = () => Boolean(ctx.abortSignal && ctx.abortSignal.aborted);
+            const replyTarget = buildReplyTarget(account);
+            const deviceInfo = await handshakeDevice(ctx.accountId, baseUrl, account.token);
+            ctx.log?.info?.(
+                `[${ctx.accountId}] device info: ${deviceInfo.source}` +
+                (deviceInfo.firmware ? ` firmware=${deviceInfo.firmware}` : "") +
+                (deviceInfo.protocol ? ` protocol=${deviceInfo.protocol}` : ""),
+            );
+            resumeOutboundQueue(replyTarget);
+            getInboundScheduler(ctx).configure({
+                concurrency: account.dispatchConcurrency,
+                maxPending: account.inboundQueueMaxSize,
+            });
+            const discardFragments = () => discardInboundFragments(ctx);
+            ctx.abortSignal?.addEventListener("abort", discardFragments, { once: true });
+            getAccountMetrics(ctx.accountId).baseUrl = baseUrl;
             const dispatchCompat = await resolveDispatchCompat();
             ctx.log?.warn?.(`[${ctx.accountId}] inbound dispatcher source: ${dispatchCompat.source}`);
             ctx.log?.warn?.(`[${ctx.accountId}] inbound dispatcher preflight: ${dispatchCompat.source} ready`);
@@ -1011,111 +5066,35 @@ const whisplayImChannel = {
                 accountId: ctx.accountId,
                 configured: true,
                 running: true,
-                mode: "poll",
+                mode: account.mode,
                 lastStartAt: Date.now(),
                 lastError: null,
             });
 
+            const releaseMetrics = await acquireMetricsExporter(ctx.cfg, ctx.log);
+            const unsubscribePairingHints = account.pairingHints
+                ? subscribePairingHints(ctx.cfg, { accountId: ctx.accountId, target: replyTarget, log: ctx.log })
+                : () => {};
             try {
-                const relayStartAtMs = Date.now();
-                const pairingWatcher = (async () => {
-                    while (!isAborted()) {
-                        try {
-                            await relayGatewayPairingHints({
-                                accountId: ctx.accountId,
-                                baseUrl,
-                                token: account.token,
-                                log: ctx.log,
-                                notBeforeMs: relayStartAtMs,
-                            });
-                        } catch (error) {
-                            ctx.log?.warn?.(
-                                `[${ctx.accountId}] pairing hint relay failed: ${error instanceof Error ? error.message : String(error)}`,
-                            );
-                        }
-                        await sleep(5000);
-                    }
-                })();
-
-                while (!isAborted()) {
-                    try {
-                        const waitSec =
-                            typeof account.waitSec === "number" && Number.isFinite(account.waitSec)
-                                ? account.waitSec
-                                : 60;
-                        const requestInit = {
-                            method: "GET",
-                            headers: buildHeaders(account.token),
-                        };
-                        if (ctx.abortSignal) {
-                            requestInit.signal = ctx.abortSignal;
-                        }
-                        const response = await fetch(
-                            `${baseUrl}/whisplay-im/poll?waitSec=${encodeURIComponent(String(waitSec))}`,
-                            requestInit,
-                        );
-                        if (!response.ok) {
-                            const body = await response.text().catch(() => "");
-                            throw new Error(`poll failed: HTTP ${response.status}${body ? ` ${body}` : ""}`);
-                        }
-                        const payload = await response.json().catch(() => ({}));
-                        const pollTick = nextPollTick(ctx.accountId);
-                        const inbounds = normalizeInboundItems(payload);
-                        if (inbounds.length > 0) {
-                            ctx.log?.warn?.(
-                                `[${ctx.accountId}] poll received ${inbounds.length} inbound message(s)`,
-                            );
-                            const seen = getInboundSeenSet(ctx.accountId);
-                            for (const inbound of inbounds) {
-                                const dedupeKey = buildInboundDedupeKey(inbound);
-                                if (dedupeKey && seen.has(dedupeKey)) {
-                                    ctx.log?.warn?.(
-                                        `[${ctx.accountId}] inbound dropped as duplicate: ${dedupeKey}`,
-                                    );
-                                    continue;
-                                }
-                                const methodName = await emitInboundToGateway(ctx, inbound);
-                                if (dedupeKey) {
-                                    rememberInboundKey(seen, dedupeKey);
-                                }
-                                ctx.log?.debug?.(
-                                    `[${ctx.accountId}] inbound relayed via ${methodName}: ${inbound.text.slice(0, 120)}`,
-                                );
-                            }
-                            ctx.setStatus({
-                                ...ctx.getStatus(),
-                                accountId: ctx.accountId,
-                                running: true,
-                                configured: true,
-                                mode: "poll",
-                                lastInboundAt: Date.now(),
-                                lastError: null,
-                            });
-                        } else {
-                            ctx.log?.warn?.(
-                                `[${ctx.accountId}] poll active: no inbound messages yet (ticks=${pollTick})`,
-                            );
-                        }
-                    } catch (error) {
-                        if (isAborted()) {
-                            break;
-                        }
-                        ctx.log?.warn?.(
-                            `[${ctx.accountId}] poll loop error: ${error instanceof Error ? error.message : String(error)}`,
-                        );
-                        ctx.setStatus({
-                            ...ctx.getStatus(),
-                            accountId: ctx.accountId,
-                            running: true,
-                            configured: true,
-                            mode: "poll",
-                            lastError: error instanceof Error ? error.message : String(error),
-                        });
-                        await sleep(2000);
+                let servedBySocket = false;
+                if (account.transport === "ws" && !deviceAllows(ctx.accountId, "ws")) {
+                    ctx.log?.warn?.(`[${ctx.accountId}] device does not list "ws"; using HTTP ${account.mode}`);
+                } else if (account.transport === "ws") {
+                    servedBySocket = await runDeviceSocket(ctx, account, baseUrl, isAborted);
+                }
+                if (!servedBySocket) {
+                    if (account.mode === "push") {
+                        await runPushInbound(ctx, account);
+                    } else {
+                        await runPollLoop(ctx, account, baseUrl, isAborted);
                     }
                 }
-                await pairingWatcher.catch(() => { });
             } finally {
+                ctx.abortSignal?.removeEventListener("abort", discardFragments);
+                discardInboundFragments(ctx);
+                unsubscribePairingHints();
+                await flushDedupeStores(ctx.accountId);
+                await releaseMetrics();
                 ctx.setStatus({
                     ...ctx.getStatus(),
                     accountId: ctx.accountId,